@@ -518,13 +518,12 @@ const DebtWiseAI = () => {
       minimumPayment: formValues.minimumPayment,
       dueDate: formValues.dueDate,
       type: mapLabelToApiType(formValues.type),
+      totalPeriods: formValues.totalPeriods || 0,
     };
     const response = await createDebtApi(token, payload);
     const createdDebt = {
       ...mapApiDebtToUi(response.debt),
       subType: formValues.subType || '',
-      totalPeriods: formValues.totalPeriods || 0,
-      remainingPeriods: formValues.totalPeriods || 0,
       monthlyDueDay: formValues.monthlyDueDay,
     };
     createdDebt.type = formValues.type;
@@ -545,13 +544,12 @@ const DebtWiseAI = () => {
       dueDate: formValues.dueDate,
       type: mapLabelToApiType(formValues.type),
       balance: formValues.principal,
+      totalPeriods: formValues.totalPeriods || 0,
     };
     const response = await updateDebtApi(token, formValues.id, payload);
     const updatedDebt = {
       ...mapApiDebtToUi(response.debt),
       subType: formValues.subType || '',
-      totalPeriods: formValues.totalPeriods || 0,
-      remainingPeriods: formValues.totalPeriods || 0,
       monthlyDueDay: formValues.monthlyDueDay,
     };
     updatedDebt.type = formValues.type;
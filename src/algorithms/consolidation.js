@@ -0,0 +1,163 @@
+// 債務整合與餘額代償情境模擬
+import { simulateStrategy, DebtError } from './debtStrategies.js';
+import { addMoney, roundMoney, subtractMoney, sumMoney, toCents } from '../utils/money.js';
+import { addMonths, clampToZero, formatISODate } from '../utils/date.js';
+
+const CONSOLIDATED_DEBT_ID = 'consolidated-loan';
+
+// 驗證並整理整合貸款條件
+function normalizeLoanTerms(loan = {}) {
+  const apr = Number(loan.apr);
+  const termMonths = Number(loan.termMonths || 0);
+  const feePercent = Number(loan.feePercent || 0);
+  const flatFee = Number(loan.flatFee || 0);
+  const promoApr = loan.promoApr === undefined || loan.promoApr === null ? null : Number(loan.promoApr);
+  const promoMonths = Number(loan.promoMonths || 0);
+
+  if (isNaN(apr) || apr < 0) {
+    throw new DebtError('整合貸款必須有有效的年利率');
+  }
+  if (!Number.isInteger(termMonths) || termMonths < 0) {
+    throw new DebtError('整合貸款期數必須是正整數');
+  }
+  if (isNaN(feePercent) || feePercent < 0 || isNaN(flatFee) || flatFee < 0) {
+    throw new DebtError('整合貸款手續費不可為負數');
+  }
+  if (promoApr !== null && (isNaN(promoApr) || promoApr < 0)) {
+    throw new DebtError('優惠期利率必須是有效的年利率');
+  }
+  if (!Number.isInteger(promoMonths) || promoMonths < 0) {
+    throw new DebtError('優惠期月數必須是正整數');
+  }
+  if (termMonths === 0 && !loan.minimumPayment && !loan.minimumPaymentRule) {
+    throw new DebtError('未設定期數的代償卡需要提供最低應繳金額或規則');
+  }
+
+  return {
+    apr,
+    termMonths,
+    feePercent,
+    flatFee,
+    promoApr,
+    promoMonths,
+    minimumPayment: loan.minimumPayment,
+    minimumPaymentRule: loan.minimumPaymentRule,
+  };
+}
+
+// 建立取代所選債務的整合貸款
+function buildConsolidatedDebt(selectedDebts, terms, startDate) {
+  const transferred = sumMoney(selectedDebts.map((debt) => Number(debt.principal || debt.balance)));
+  const feesPaid = addMoney(roundMoney(transferred * (terms.feePercent / 100)), terms.flatFee);
+  const rateSchedule = [];
+  if (terms.promoApr !== null && terms.promoMonths > 0) {
+    rateSchedule.push({
+      startDate: formatISODate(startDate),
+      endDate: formatISODate(addMonths(startDate, terms.promoMonths - 1)),
+      apr: terms.promoApr,
+    });
+  }
+
+  const debt = {
+    id: CONSOLIDATED_DEBT_ID,
+    name: '整合貸款',
+    balance: addMoney(transferred, feesPaid),
+    apr: terms.apr,
+    rateSchedule,
+  };
+  if (terms.termMonths > 0) {
+    debt.totalPeriods = terms.termMonths;
+    debt.remainingPeriods = terms.termMonths;
+  } else {
+    debt.minimumPayment = terms.minimumPayment;
+    debt.minimumPaymentRule = terms.minimumPaymentRule;
+  }
+
+  return { debt, transferred, feesPaid };
+}
+
+// 每月新增的成本（利息 + 週期性費用 + 違約金，以分計）；非月繳時同月各期合併
+function getMonthlyCosts(result) {
+  const costs = new Map();
+  result.schedule.forEach((entry) => {
+    const cost = toCents(entry.totalInterest) + toCents(entry.totalFees);
+    costs.set(entry.monthIndex, (costs.get(entry.monthIndex) || 0) + cost);
+  });
+  return costs;
+}
+
+// 方案總成本：利息加上週期性費用與違約金
+const getTotalCost = (result) => addMoney(result.totalInterest, result.totalFees);
+
+// 找出整合方案累計成本（含手續費）不高於原方案的第一個月
+function findBreakEvenMonth(currentResult, consolidatedResult, feesPaid) {
+  const currentCosts = getMonthlyCosts(currentResult);
+  const consolidatedCosts = getMonthlyCosts(consolidatedResult);
+  const months = Math.max(currentResult.months, consolidatedResult.months);
+  let currentCost = 0;
+  let consolidatedCost = toCents(feesPaid);
+
+  for (let month = 1; month <= months; month += 1) {
+    currentCost += currentCosts.get(month) || 0;
+    consolidatedCost += consolidatedCosts.get(month) || 0;
+    if (consolidatedCost <= currentCost) {
+      return month;
+    }
+  }
+
+  return null;
+}
+
+// 模擬整合負債或餘額代償，並與現行計畫比較
+function simulateConsolidation(debts, options = {}) {
+  const { debtIds, loan, startDate = new Date(), ...simulationOptions } = options;
+  if (!Array.isArray(debtIds) || debtIds.length === 0) {
+    throw new DebtError('請選擇要整合的債務');
+  }
+
+  const selectedIds = new Set(debtIds.map((id) => String(id)));
+  const selectedDebts = debts.filter((debt) => selectedIds.has(String(debt.id)));
+  if (selectedDebts.length !== selectedIds.size) {
+    throw new DebtError('部分選擇的債務不存在');
+  }
+
+  const start = new Date(startDate);
+  const terms = normalizeLoanTerms(loan);
+  const { debt: consolidatedDebt, transferred, feesPaid } = buildConsolidatedDebt(selectedDebts, terms, start);
+  const remainingDebts = debts.filter((debt) => !selectedIds.has(String(debt.id)));
+
+  const current = simulateStrategy(debts, { ...simulationOptions, startDate: start });
+  const consolidated = simulateStrategy([...remainingDebts, consolidatedDebt], {
+    ...simulationOptions,
+    startDate: start,
+  });
+
+  const interestSavings = subtractMoney(current.totalInterest, consolidated.totalInterest);
+  const totalCostCurrent = clampToZero(getTotalCost(current));
+  const totalCostConsolidated = clampToZero(addMoney(getTotalCost(consolidated), feesPaid));
+
+  return {
+    current,
+    consolidated,
+    consolidatedDebt: {
+      ...consolidatedDebt,
+      transferredBalance: transferred,
+      feesPaid,
+      debtIds: selectedDebts.map((debt) => debt.id),
+    },
+    comparison: {
+      feesPaid,
+      interestSavings,
+      netSavings: subtractMoney(totalCostCurrent, totalCostConsolidated),
+      monthsDifference: current.months - consolidated.months,
+      breakEvenMonth: findBreakEvenMonth(current, consolidated, feesPaid),
+      totalCostCurrent,
+      totalCostConsolidated,
+    },
+  };
+}
+
+export {
+  CONSOLIDATED_DEBT_ID,
+  simulateConsolidation,
+};
@@ -1,5 +1,23 @@
 // 債務策略演算法 - 前端版本
-import { addMonths, formatISO } from 'date-fns';
+import {
+  addDays,
+  addMonths,
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  formatISO,
+  getDaysInMonth,
+  setDate,
+} from 'date-fns';
+import {
+  toCents,
+  fromCents,
+  multiplyCents,
+  sumCents,
+  roundMoney,
+  roundToInteger,
+  subtractMoney,
+  sumMoney,
+} from '../utils/money.js';
 
 // 自定義錯誤類別
 class DebtError extends Error {
@@ -7,6 +25,7 @@ class DebtError extends Error {
     super(message);
     this.name = 'DebtError';
     this.code = code;
+    this.statusCode = code;
   }
 }
 
@@ -16,16 +35,398 @@ const clampToZero = (value) => Math.max(0, Number(value) || 0);
 // 格式化日期為 ISO 字串
 const formatISODate = (date) => formatISO(date, { representation: 'date' });
 
+// 標準化利率時間表（優惠利率、分段利率）
+function normalizeRateSchedule(debt) {
+  const schedule = debt.rateSchedule;
+  if (schedule === undefined || schedule === null) {
+    return [];
+  }
+  if (!Array.isArray(schedule)) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的利率時間表格式錯誤`);
+  }
+
+  return schedule
+    .map((entry) => {
+      const apr = Number(entry?.apr);
+      const start = new Date(entry?.startDate);
+      const end = entry?.endDate ? new Date(entry.endDate) : null;
+
+      if (isNaN(apr) || apr < 0) {
+        throw new DebtError(`債務「${debt.name || debt.id}」的分段利率必須是有效的年利率`);
+      }
+      if (isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
+        throw new DebtError(`債務「${debt.name || debt.id}」的分段利率需要有效的起訖日期`);
+      }
+      if (end && end < start) {
+        throw new DebtError(`債務「${debt.name || debt.id}」的分段利率結束日期不可早於開始日期`);
+      }
+
+      return { startDate: start, endDate: end, apr };
+    })
+    .sort((a, b) => a.startDate - b.startDate);
+}
+
+// 取得指定日期適用的年利率，未落在任何區間時使用基本利率
+function getEffectiveApr(debt, date) {
+  const target = new Date(date);
+  const schedule = Array.isArray(debt.rateSchedule) ? debt.rateSchedule : [];
+  const baseApr = debt.baseApr ?? debt.apr;
+  const entry = schedule.find((item) => {
+    const start = new Date(item.startDate);
+    const end = item.endDate ? new Date(item.endDate) : null;
+    return start <= target && (!end || target <= end);
+  });
+  return entry ? Number(entry.apr) : baseApr;
+}
+
+// 本息平均攤還（年金）每期應繳金額
+function calculateAnnuityPayment(balance, apr, periods) {
+  const principal = clampToZero(balance);
+  const count = Math.max(1, Math.round(Number(periods) || 1));
+  const monthlyRate = (Number(apr) || 0) / 100 / 12;
+  if (principal === 0) {
+    return 0;
+  }
+  if (monthlyRate === 0) {
+    return roundMoney(principal / count);
+  }
+  const payment = (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -count));
+  return roundMoney(payment);
+}
+
+// 計算分期貸款在指定日期的剩餘期數
+function getRemainingPeriods(debt, date = new Date()) {
+  const totalPeriods = Number(debt.totalPeriods) || 0;
+  if (totalPeriods <= 0) {
+    return null;
+  }
+  if (!debt.originationDate) {
+    const remaining = Number(debt.remainingPeriods);
+    return remaining > 0 ? Math.min(remaining, totalPeriods) : totalPeriods;
+  }
+  // 首期於撥款次月繳納
+  const elapsed = differenceInCalendarMonths(new Date(date), new Date(debt.originationDate));
+  return Math.min(totalPeriods, Math.max(0, totalPeriods - elapsed + 1));
+}
+
+// 最低應繳金額規則
+const MINIMUM_PAYMENT_RULES = ['fixed', 'percent_of_balance', 'interest_plus_percent'];
+
+// 標準化最低應繳規則
+function normalizeMinimumPaymentRule(debt) {
+  const rule = debt.minimumPaymentRule;
+  if (rule === undefined || rule === null) {
+    return null;
+  }
+  if (typeof rule !== 'object' || !MINIMUM_PAYMENT_RULES.includes(rule.type)) {
+    throw new DebtError(
+      `債務「${debt.name || debt.id}」的最低應繳規則必須是 fixed、percent_of_balance 或 interest_plus_percent`,
+    );
+  }
+
+  const percent = Number(rule.percent || 0);
+  const floor = Number(rule.floor || 0);
+  if (isNaN(percent) || percent < 0 || percent > 100) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的最低應繳比例必須介於 0 與 100 之間`);
+  }
+  if (isNaN(floor) || floor < 0) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的最低應繳下限不可為負數`);
+  }
+  if (rule.type === 'fixed' ? floor <= 0 : percent <= 0 && floor <= 0) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的最低應繳規則必須產生正數金額`);
+  }
+
+  return { type: rule.type, percent, floor };
+}
+
+// 依規則計算當期最低應繳金額（balance 為含當期利息的帳單餘額）
+function evaluateMinimumPayment(rule, { balance, interest = 0 }) {
+  const statementBalance = clampToZero(balance);
+  let amount = 0;
+  if (rule.type === 'percent_of_balance') {
+    amount = statementBalance * (rule.percent / 100);
+  } else if (rule.type === 'interest_plus_percent') {
+    amount = interest + clampToZero(statementBalance - interest) * (rule.percent / 100);
+  }
+  return roundMoney(Math.min(statementBalance, Math.max(rule.floor, amount)));
+}
+
+// 計息方式：月利率、平均每日餘額、實際天數/365 每日計息
+const INTEREST_METHODS = ['monthly', 'average_daily_balance', 'daily'];
+
+// 驗證每月的帳單日或繳款日（1-31）
+function normalizeDayOfMonth(debt, value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const day = Number(value);
+  if (!Number.isInteger(day) || day < 1 || day > 31) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的${label}必須介於 1 與 31 之間`);
+  }
+  return day;
+}
+
+// 標準化計息方式與帳單日、繳款日（未指定繳款日時取到期日的日期）
+function normalizeInterestTerms(debt) {
+  const interestMethod = debt.interestMethod || 'monthly';
+  if (!INTEREST_METHODS.includes(interestMethod)) {
+    throw new DebtError(
+      `債務「${debt.name || debt.id}」的計息方式必須是 ${INTEREST_METHODS.join('、')} 其中之一`,
+    );
+  }
+  const dueDate = debt.dueDate ? new Date(debt.dueDate) : null;
+  const fallbackDueDay = dueDate && !isNaN(dueDate.getTime()) ? dueDate.getDate() : null;
+  return {
+    interestMethod,
+    statementDay: normalizeDayOfMonth(debt, debt.statementDay, '帳單日'),
+    dueDay: normalizeDayOfMonth(debt, debt.dueDay ?? fallbackDueDay, '繳款日'),
+  };
+}
+
+// 標準化提前還款違約金：違約期間內按提前還款金額的百分比收取
+function normalizePrepaymentPenalty(debt) {
+  const penalty = debt.prepaymentPenalty;
+  if (penalty === undefined || penalty === null) {
+    return null;
+  }
+  const percent = Number(penalty.percent);
+  const startDate = penalty.startDate ? new Date(penalty.startDate) : null;
+  const endDate = penalty.endDate ? new Date(penalty.endDate) : null;
+  if (isNaN(percent) || percent < 0 || percent > 100) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的違約金比例必須介於 0 與 100 之間`);
+  }
+  if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的違約金期間需要有效的日期`);
+  }
+  if (startDate && endDate && endDate < startDate) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的違約金結束日期不可早於開始日期`);
+  }
+  return percent > 0 ? { percent, startDate, endDate } : null;
+}
+
+// 標準化週期性費用（年費、帳戶管理費等），自起始月份起每隔固定月數收取
+function normalizeRecurringFees(debt) {
+  const fees = debt.recurringFees;
+  if (fees === undefined || fees === null) {
+    return [];
+  }
+  if (!Array.isArray(fees)) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的週期性費用格式錯誤`);
+  }
+  return fees.map((fee) => {
+    const amount = Number(fee?.amount);
+    const intervalMonths = Number(fee?.intervalMonths ?? 12);
+    const startDate = new Date(fee?.startDate);
+    if (isNaN(amount) || amount <= 0) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的週期性費用金額必須是正數`);
+    }
+    if (!Number.isInteger(intervalMonths) || intervalMonths < 1) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的費用收取間隔必須是正整數月數`);
+    }
+    if (isNaN(startDate.getTime())) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的週期性費用需要有效的起始日期`);
+    }
+    return { amount, intervalMonths, startMonth: toYearMonth(startDate), note: fee.note || null };
+  });
+}
+
+// 標準化寬限期（只繳息期間），以起訖月份表示
+function normalizeInterestOnlyPhases(debt) {
+  const phases = debt.interestOnlyPhases;
+  if (phases === undefined || phases === null) {
+    return [];
+  }
+  if (!Array.isArray(phases)) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的寬限期格式錯誤`);
+  }
+  const normalized = phases
+    .map((phase) => {
+      const startDate = new Date(phase?.startDate);
+      const endDate = new Date(phase?.endDate);
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new DebtError(`債務「${debt.name || debt.id}」的寬限期需要有效的起訖月份`);
+      }
+      const startMonth = toYearMonth(startDate);
+      const endMonth = toYearMonth(endDate);
+      if (endMonth < startMonth) {
+        throw new DebtError(`債務「${debt.name || debt.id}」的寬限期結束月份不可早於開始月份`);
+      }
+      return { startMonth, endMonth };
+    })
+    .sort((a, b) => (a.startMonth > b.startMonth ? 1 : -1));
+  normalized.forEach((phase, index) => {
+    const next = normalized[index + 1];
+    if (next && next.startMonth <= phase.endMonth) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的寬限期不可重疊`);
+    }
+  });
+  return normalized;
+}
+
+// 找出指定月份所在的寬限期
+const findInterestOnlyPhase = (phases, month) => (
+  phases.find((phase) => phase.startMonth <= month && month <= phase.endMonth) || null
+);
+
+// 取得指定日期的寬限期狀態：只繳息金額與寬限期結束後的攤還金額
+function getInterestOnlyStatus(debt, date = new Date()) {
+  const month = toYearMonth(date);
+  const phase = findInterestOnlyPhase(normalizeInterestOnlyPhases(debt), month);
+  if (!phase) {
+    return null;
+  }
+  const balance = clampToZero(debt.balance ?? debt.principal);
+  const amortizationStart = addMonths(new Date(`${phase.endMonth}-01`), 1);
+  const interestOnlyPayment = roundMoney(balance * (getEffectiveApr(debt, date) / 100 / 12));
+  let amortizingPayment = Number(debt.minimumPayment) || 0;
+  const remainingPeriods = getRemainingPeriods(debt, date);
+  if (remainingPeriods) {
+    // 寬限期計入貸款期數，結束後以剩餘期數攤還本息
+    const periodsAfter = Math.max(1, remainingPeriods - monthsBetween(month, phase.endMonth) - 1);
+    amortizingPayment = calculateAnnuityPayment(balance, getEffectiveApr(debt, amortizationStart), periodsAfter);
+  } else if (debt.minimumPaymentRule) {
+    const interest = balance * (getEffectiveApr(debt, amortizationStart) / 100 / 12);
+    amortizingPayment = evaluateMinimumPayment(debt.minimumPaymentRule, { balance: balance + interest, interest });
+  }
+  return {
+    startMonth: phase.startMonth,
+    endMonth: phase.endMonth,
+    interestOnlyPayment,
+    amortizingPayment,
+    amortizationStartDate: formatISODate(amortizationStart),
+  };
+}
+
+// 信用卡分期手續費收取方式：每期隨分期款收取，或於首期一次收取
+const INSTALLMENT_FEE_FREQUENCIES = ['monthly', 'upfront'];
+
+// 標準化信用卡分期（卡片餘額中的分期子餘額）
+function normalizeInstallmentPlans(debt) {
+  const plans = debt.installmentPlans;
+  if (plans === undefined || plans === null) {
+    return [];
+  }
+  if (!Array.isArray(plans)) {
+    throw new DebtError(`債務「${debt.name || debt.id}」的分期資料格式錯誤`);
+  }
+  return plans.map((plan, index) => {
+    const label = plan?.name || `分期 ${index + 1}`;
+    const principal = Number(plan?.principal);
+    const termMonths = Number(plan?.termMonths);
+    const apr = Number(plan?.apr || 0);
+    const fee = Number(plan?.fee || 0);
+    const feeFrequency = plan?.feeFrequency || 'monthly';
+    const startDate = new Date(plan?.startDate);
+    if (isNaN(principal) || principal <= 0) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的「${label}」分期金額必須是正數`);
+    }
+    if (!Number.isInteger(termMonths) || termMonths < 1) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的「${label}」分期期數必須是正整數`);
+    }
+    if (isNaN(apr) || apr < 0 || isNaN(fee) || fee < 0) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的「${label}」分期利率與手續費不可為負數`);
+    }
+    if (!INSTALLMENT_FEE_FREQUENCIES.includes(feeFrequency)) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的「${label}」手續費收取方式必須是 monthly 或 upfront`);
+    }
+    if (isNaN(startDate.getTime())) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的「${label}」需要有效的分期起始日期`);
+    }
+    return {
+      id: String(plan.id ?? index + 1),
+      name: plan.name || null,
+      principal,
+      termMonths,
+      apr,
+      fee,
+      feeFrequency,
+      startDate,
+    };
+  });
+}
+
+// 分期在指定日期的剩餘期數、每期應繳本息與未償本金（首期於起始日次月繳納）
+function getInstallmentPlanStatus(plan, date = new Date()) {
+  const remainingPeriods = getRemainingPeriods({ totalPeriods: plan.termMonths, originationDate: plan.startDate }, date);
+  const monthlyPayment = calculateAnnuityPayment(plan.principal, plan.apr, plan.termMonths);
+  const monthlyRate = plan.apr / 100 / 12;
+  let outstanding = 0;
+  if (remainingPeriods > 0) {
+    outstanding = monthlyRate === 0
+      ? (plan.principal * remainingPeriods) / plan.termMonths
+      : (monthlyPayment * (1 - Math.pow(1 + monthlyRate, -remainingPeriods))) / monthlyRate;
+  }
+  return {
+    remainingPeriods,
+    monthlyPayment,
+    outstanding: roundMoney(Math.min(plan.principal, outstanding)),
+  };
+}
+
+// 將信用卡餘額拆分為循環信用與仍在繳納中的各筆分期
+function splitCardBalance(debt, balance, date = new Date()) {
+  const installments = normalizeInstallmentPlans(debt)
+    .map((plan) => ({ ...plan, ...getInstallmentPlanStatus(plan, date) }))
+    .filter((plan) => plan.remainingPeriods > 0);
+  const installmentBalance = sumMoney(installments.map((plan) => plan.outstanding));
+  return {
+    revolvingBalance: Math.max(0, subtractMoney(balance, installmentBalance)),
+    installmentBalance,
+    installments,
+  };
+}
+
+// 將含分期的信用卡展開為循環信用與分期子債務，分期依固定期數攤還且不接受額外還款
+function expandInstallmentPlans(debts, startDate) {
+  return debts.flatMap((debt) => {
+    if (!Array.isArray(debt.installmentPlans) || debt.installmentPlans.length === 0) {
+      return [debt];
+    }
+    const { revolvingBalance, installments } = splitCardBalance(debt, Number(debt.principal || debt.balance), startDate);
+    const parts = installments.map((plan) => {
+      // 首期手續費只在分期尚未開始繳納時計入
+      const chargesFee = plan.fee > 0 && (plan.feeFrequency === 'monthly' || plan.remainingPeriods === plan.termMonths);
+      return {
+        id: `${debt.id}:${plan.id}`,
+        name: `${debt.name || debt.id}（分期：${plan.name || plan.id}）`,
+        balance: plan.outstanding,
+        apr: plan.apr,
+        totalPeriods: plan.termMonths,
+        remainingPeriods: plan.remainingPeriods,
+        recurringFees: chargesFee
+          ? [{ amount: plan.fee, intervalMonths: plan.feeFrequency === 'monthly' ? 1 : plan.termMonths, startDate }]
+          : [],
+        type: 'credit_card_installment',
+        dueDate: debt.dueDate,
+        parentDebtId: debt.id,
+        balanceComponent: 'installment',
+      };
+    });
+    if (revolvingBalance <= 0) {
+      return parts;
+    }
+    const { installmentPlans: _installmentPlans, ...card } = debt;
+    return [
+      { ...card, principal: revolvingBalance, balance: revolvingBalance, parentDebtId: debt.id, balanceComponent: 'revolving' },
+      ...parts,
+    ];
+  });
+}
+
 // 標準化債務資料
-function normalizeDebts(debts) {
+function normalizeDebts(debts, { startDate = new Date() } = {}) {
   if (!Array.isArray(debts) || debts.length === 0) {
     throw new DebtError('至少需要一筆債務才能進行模擬');
   }
 
-  return debts.map((debt) => {
+  return expandInstallmentPlans(debts, startDate).map((debt) => {
     const balance = Number(debt.principal || debt.balance);
     const apr = Number(debt.interestRate || debt.apr);
-    const minimumPayment = Number(debt.minimumPayment);
+    const totalPeriods = Number(debt.totalPeriods || 0);
+    const effectiveApr = debt.effectiveApr === undefined || debt.effectiveApr === null
+      ? null
+      : Number(debt.effectiveApr);
+    let minimumPayment = Number(debt.minimumPayment);
 
     if (isNaN(balance) || balance <= 0) {
       throw new DebtError(`債務「${debt.name || debt.id}」必須有正數餘額`);
@@ -33,66 +434,475 @@ function normalizeDebts(debts) {
     if (isNaN(apr) || apr < 0) {
       throw new DebtError(`債務「${debt.name || debt.id}」必須有有效的年利率`);
     }
+    if (!Number.isInteger(totalPeriods) || totalPeriods < 0) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的貸款期數必須是正整數`);
+    }
+    if (effectiveApr !== null && (isNaN(effectiveApr) || effectiveApr < 0)) {
+      throw new DebtError(`債務「${debt.name || debt.id}」的總費用年百分率必須是有效的年利率`);
+    }
+
+    const rateSchedule = normalizeRateSchedule(debt);
+    const interestTerms = normalizeInterestTerms(debt);
+    const prepaymentPenalty = normalizePrepaymentPenalty(debt);
+    const recurringFees = normalizeRecurringFees(debt);
+    const interestOnlyPhases = normalizeInterestOnlyPhases(debt);
+    const startApr = getEffectiveApr({ apr, rateSchedule }, startDate);
+    let remainingPeriods = null;
+    let minimumPaymentRule = null;
+
+    if (totalPeriods > 0) {
+      // 分期貸款：依剩餘期數計算本息平均攤還金額
+      remainingPeriods = Math.max(1, getRemainingPeriods(debt, startDate));
+      minimumPayment = calculateAnnuityPayment(balance, startApr, remainingPeriods);
+    } else {
+      // 循環信用：依規則估算首期最低應繳金額
+      minimumPaymentRule = normalizeMinimumPaymentRule(debt);
+      if (minimumPaymentRule) {
+        const interest = balance * (startApr / 100 / 12);
+        minimumPayment = evaluateMinimumPayment(minimumPaymentRule, { balance: balance + interest, interest });
+      }
+    }
+
     if (isNaN(minimumPayment) || minimumPayment <= 0) {
       throw new DebtError(`債務「${debt.name || debt.id}」必須有正數最低還款額`);
     }
 
+    // 寬限期內只需繳交當月利息
+    const baseMinimumPayment = minimumPayment;
+    if (findInterestOnlyPhase(interestOnlyPhases, toYearMonth(startDate))) {
+      minimumPayment = roundMoney(balance * (startApr / 100 / 12));
+    }
+
     return {
       id: debt.id,
       name: debt.name,
-      balance: Number(balance.toFixed(2)),
+      balance: roundMoney(balance),
       apr,
+      baseApr: apr,
+      // 總費用年百分率高於名目利率的部分，排序時加在當期利率上以反映實際成本
+      feeAprSpread: effectiveApr === null ? 0 : Math.max(0, effectiveApr - apr),
+      rateSchedule,
       minimumPayment,
+      baseMinimumPayment,
+      minimumPaymentRule,
+      totalPeriods: totalPeriods > 0 ? totalPeriods : null,
+      remainingPeriods,
+      ...interestTerms,
+      prepaymentPenalty,
+      recurringFees,
+      interestOnlyPhases,
+      parentDebtId: debt.parentDebtId || null,
+      balanceComponent: debt.balanceComponent || null,
       type: debt.type,
       dueDate: debt.dueDate,
     };
   });
 }
 
+// 支援的還款策略
+const SUPPORTED_STRATEGIES = [
+  'snowball',
+  'avalanche',
+  'highest_interest',
+  'cash_flow_index',
+  'hybrid',
+  'custom',
+];
+
+const DEFAULT_HYBRID_WEIGHT = 0.5;
+
+// 驗證並整理策略參數
+function resolveStrategyOptions(strategy, options = {}) {
+  if (!SUPPORTED_STRATEGIES.includes(strategy)) {
+    throw new DebtError(
+      '策略必須是 snowball（雪球法）、avalanche（雪崩法）、highest_interest（月利息最高優先）、'
+        + 'cash_flow_index（現金流指數）、hybrid（混合法）或 custom（自訂順序）',
+    );
+  }
+
+  const resolved = {};
+
+  if (strategy === 'hybrid') {
+    const weight = options.hybridWeight === undefined || options.hybridWeight === null
+      ? DEFAULT_HYBRID_WEIGHT
+      : Number(options.hybridWeight);
+    if (isNaN(weight) || weight < 0 || weight > 1) {
+      throw new DebtError('混合法權重必須介於 0 與 1 之間');
+    }
+    resolved.hybridWeight = weight;
+  }
+
+  if (strategy === 'custom') {
+    const { customOrder } = options;
+    if (!Array.isArray(customOrder) || customOrder.length === 0) {
+      throw new DebtError('自訂策略需要提供債務優先順序');
+    }
+    resolved.customOrder = customOrder.map((id) => String(id));
+  }
+
+  return resolved;
+}
+
+// 排序用的成本利率：當期利率加上費用造成的利差
+const getCostApr = (debt) => debt.apr + (debt.feeAprSpread || 0);
+
+// 混合法分數：權重越高越偏向雪崩法，越低越偏向雪球法
+function hybridScores(debts, weight) {
+  const maxBalance = Math.max(...debts.map((debt) => debt.balance), 0);
+  const maxApr = Math.max(...debts.map(getCostApr), 0);
+  const scores = new Map();
+  debts.forEach((debt) => {
+    const aprScore = maxApr > 0 ? getCostApr(debt) / maxApr : 0;
+    const balanceScore = maxBalance > 0 ? 1 - debt.balance / maxBalance : 0;
+    scores.set(debt.id, weight * aprScore + (1 - weight) * balanceScore);
+  });
+  return scores;
+}
+
 // 債務排序策略
-function orderDebts(debts, strategy) {
+function orderDebts(debts, strategy, options = {}) {
   const cloned = debts.map((debt) => ({ ...debt }));
-  
+  const byAvalanche = (a, b) => getCostApr(b) - getCostApr(a) || a.balance - b.balance;
+
   if (strategy === 'snowball') {
     // 雪球法：按餘額由小到大排序
-    cloned.sort((a, b) => a.balance - b.balance || a.apr - b.apr);
+    cloned.sort((a, b) => a.balance - b.balance || getCostApr(a) - getCostApr(b));
   } else if (strategy === 'avalanche') {
-    // 雪崩法：按利率由高到低排序
-    cloned.sort((a, b) => b.apr - a.apr || a.balance - b.balance);
+    // 雪崩法：按利率（含費用的總費用年百分率）由高到低排序
+    cloned.sort(byAvalanche);
+  } else if (strategy === 'highest_interest') {
+    // 月利息成本最高者優先
+    const monthlyInterest = (debt) => debt.balance * (getCostApr(debt) / 100 / 12);
+    cloned.sort((a, b) => monthlyInterest(b) - monthlyInterest(a) || byAvalanche(a, b));
+  } else if (strategy === 'cash_flow_index') {
+    // 現金流指數（餘額 ÷ 最低還款額）越低越優先，可最快釋放每月現金流
+    const cashFlowIndex = (debt) => debt.balance / debt.minimumPayment;
+    cloned.sort((a, b) => cashFlowIndex(a) - cashFlowIndex(b) || byAvalanche(a, b));
+  } else if (strategy === 'hybrid') {
+    // 混合法：依權重綜合雪球法與雪崩法
+    const weight = options.hybridWeight ?? DEFAULT_HYBRID_WEIGHT;
+    const scores = hybridScores(cloned, weight);
+    cloned.sort((a, b) => scores.get(b.id) - scores.get(a.id) || byAvalanche(a, b));
+  } else if (strategy === 'custom') {
+    // 自訂順序：未列出的債務排在最後，並以雪崩法排序
+    const priority = new Map((options.customOrder || []).map((id, index) => [id, index]));
+    const rank = (debt) => (priority.has(String(debt.id)) ? priority.get(String(debt.id)) : Infinity);
+    cloned.sort((a, b) => {
+      const rankA = rank(a);
+      const rankB = rank(b);
+      if (rankA !== rankB) {
+        return rankA < rankB ? -1 : 1;
+      }
+      return byAvalanche(a, b);
+    });
   }
-  
+
   return cloned;
 }
 
+// 取得日期所屬的年月（YYYY-MM）
+const toYearMonth = (date) => formatISODate(new Date(date)).slice(0, 7);
+
+// 兩個年月（YYYY-MM）之間相差的月數
+function monthsBetween(fromMonth, toMonth) {
+  const [fromYear, fromMonthIndex] = fromMonth.split('-').map(Number);
+  const [toYear, toMonthIndex] = toMonth.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonthIndex - fromMonthIndex);
+}
+
+// 標準化預算時間軸：預算調整與一次性大額還款（年終獎金、退稅等）
+function normalizeBudgetTimeline(options = {}) {
+  const { budgetChanges = [], lumpSums = [] } = options;
+  if (!Array.isArray(budgetChanges) || !Array.isArray(lumpSums)) {
+    throw new DebtError('預算調整與一次性還款必須是陣列');
+  }
+
+  const changes = budgetChanges
+    .map((change) => {
+      const effectiveDate = new Date(change?.effectiveDate);
+      const amount = Number(change?.monthlyBudget);
+      if (isNaN(effectiveDate.getTime())) {
+        throw new DebtError('預算調整需要有效的生效日期');
+      }
+      if (isNaN(amount) || amount < 0) {
+        throw new DebtError('調整後的月預算不可為負數');
+      }
+      return { month: toYearMonth(effectiveDate), monthlyBudget: amount };
+    })
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+  const windfalls = lumpSums
+    .map((lumpSum) => {
+      const date = new Date(lumpSum?.date);
+      const amount = Number(lumpSum?.amount);
+      if (isNaN(date.getTime())) {
+        throw new DebtError('一次性還款需要有效的日期');
+      }
+      if (isNaN(amount) || amount <= 0) {
+        throw new DebtError('一次性還款金額必須是正數');
+      }
+      return { month: toYearMonth(date), date: formatISODate(date), amount, note: lumpSum.note || null };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return { changes, windfalls };
+}
+
+// 取得當月適用的月預算
+function getBudgetForMonth(baseBudget, changes, month) {
+  return changes.reduce((current, change) => (change.month <= month ? change.monthlyBudget : current), baseBudget);
+}
+
+// 支援的繳款頻率：每年期數與每月名目期數（預算與最低應繳依名目期數平分）
+const PAYMENT_FREQUENCIES = {
+  monthly: { periodsPerYear: 12, periodsPerMonth: 1 },
+  semi_monthly: { periodsPerYear: 24, periodsPerMonth: 2 },
+  biweekly: { periodsPerYear: 26, periodsPerMonth: 2 },
+  weekly: { periodsPerYear: 52, periodsPerMonth: 4 },
+};
+
+const SUPPORTED_PAYMENT_FREQUENCIES = Object.keys(PAYMENT_FREQUENCIES);
+
+// 取得第 index 期（從 0 起算，可為負數）的繳款日
+function getPeriodDate(start, frequency, index) {
+  switch (frequency) {
+    case 'weekly':
+      return addDays(start, index * 7);
+    case 'biweekly':
+      return addDays(start, index * 14);
+    case 'semi_monthly': {
+      const month = Math.floor(index / 2);
+      const base = addMonths(start, month);
+      return index - month * 2 === 1 ? addDays(base, 15) : base;
+    }
+    default:
+      return addMonths(start, index);
+  }
+}
+
+// 取得指定月份中的某一天（超過月底時取月底）
+function getDayInMonth(date, day) {
+  return setDate(date, Math.min(day, getDaysInMonth(date)));
+}
+
+// 計息期間與上期還款入帳日；帳單日與繳款日僅在月繳時套用
+function getAccrualWindow(debt, currentDate, previousDate, paymentFrequency) {
+  if (paymentFrequency !== 'monthly') {
+    return { start: previousDate, end: currentDate, paymentDate: previousDate };
+  }
+  const end = debt.statementDay ? getDayInMonth(currentDate, debt.statementDay) : currentDate;
+  const start = debt.statementDay ? getDayInMonth(addMonths(currentDate, -1), debt.statementDay) : previousDate;
+  let paymentDate = start;
+  if (debt.dueDay) {
+    let dueDate = getDayInMonth(end, debt.dueDay);
+    if (dueDate > end) {
+      dueDate = getDayInMonth(addMonths(end, -1), debt.dueDay);
+    }
+    if (dueDate > start) {
+      paymentDate = dueDate;
+    }
+  }
+  return { start, end, paymentDate };
+}
+
+// 依計息方式計算本期利息（以分計）；上期還款在入帳日前仍計入餘額
+function calculatePeriodInterest(debt, window, periodRate) {
+  const { balance, lastPayment } = debt;
+  if (balance <= 0) {
+    return 0;
+  }
+  if (debt.interestMethod === 'monthly') {
+    return Math.max(0, multiplyCents(balance, periodRate));
+  }
+  const totalDays = differenceInCalendarDays(window.end, window.start);
+  const daysBeforePayment = Math.min(totalDays, Math.max(0, differenceInCalendarDays(window.paymentDate, window.start)));
+  const daysAfterPayment = totalDays - daysBeforePayment;
+  const dailyRate = debt.apr / 100 / 365;
+
+  if (debt.interestMethod === 'daily') {
+    // 每日計息並逐日滾入餘額
+    const beforePayment = (balance + lastPayment) * (1 + dailyRate) ** daysBeforePayment - lastPayment;
+    return Math.max(0, roundToInteger(beforePayment * (1 + dailyRate) ** daysAfterPayment - balance));
+  }
+
+  // 平均每日餘額 × 日利率 × 計息天數
+  const balanceDays = (balance + lastPayment) * daysBeforePayment + balance * daysAfterPayment;
+  return Math.max(0, multiplyCents(balanceDays, dailyRate));
+}
+
+// 標準化各債務的分配設定：排除額外還款、指定加碼金額、每月還款上限
+function normalizeAllocationSettings(settings) {
+  if (settings === undefined || settings === null) {
+    return new Map();
+  }
+  if (!Array.isArray(settings)) {
+    throw new DebtError('債務分配設定必須是陣列');
+  }
+  return new Map(settings.map((setting) => {
+    const earmark = Number(setting?.earmark || 0);
+    const cap = setting?.maxMonthlyPayment;
+    const maxMonthlyPayment = cap === undefined || cap === null ? null : Number(cap);
+    if (!setting || setting.debtId === undefined || setting.debtId === null) {
+      throw new DebtError('債務分配設定需要指定債務');
+    }
+    if (isNaN(earmark) || earmark < 0) {
+      throw new DebtError('指定加碼金額不可為負數');
+    }
+    if (maxMonthlyPayment !== null && (isNaN(maxMonthlyPayment) || maxMonthlyPayment < 0)) {
+      throw new DebtError('每月還款上限不可為負數');
+    }
+    return [String(setting.debtId), {
+      excludeFromExtra: Boolean(setting.excludeFromExtra),
+      earmark,
+      maxMonthlyPayment,
+    }];
+  }));
+}
+
+// 本期還能再支付的金額（以分計）：受餘額與每月還款上限限制
+function getPaymentHeadroom(debt, paymentRecord) {
+  if (debt.paymentCap === null) {
+    return debt.balance;
+  }
+  return Math.min(debt.balance, Math.max(0, debt.paymentCap - paymentRecord.payment));
+}
+
+// 判斷指定日期是否在違約金期間內，回傳違約金比率（小數）
+function getPenaltyRate(debt, date) {
+  const penalty = debt.prepaymentPenalty;
+  if (!penalty) {
+    return 0;
+  }
+  if ((penalty.startDate && date < penalty.startDate) || (penalty.endDate && date > penalty.endDate)) {
+    return 0;
+  }
+  return penalty.percent / 100;
+}
+
+// 將提前還款（以分計）套用到單筆債務；違約金與還款本身一併由可用金額支付
+function applyPrepayment(paymentRecord, availableCents, debtSummaries) {
+  const { debt } = paymentRecord;
+  const rate = debt.penaltyRate;
+  const affordable = rate > 0 ? Math.floor(availableCents / (1 + rate)) : availableCents;
+  const applied = Math.max(0, Math.min(getPaymentHeadroom(debt, paymentRecord), affordable));
+  const penalty = Math.min(multiplyCents(applied, rate), availableCents - applied);
+
+  debt.balance -= applied;
+  paymentRecord.payment += applied;
+  paymentRecord.penaltyPaid += penalty;
+  paymentRecord.balanceRemaining = debt.balance;
+  const summary = debtSummaries.get(debt.id);
+  summary.totalPaid += applied + penalty;
+  summary.totalPenalties += penalty;
+
+  return { applied, penalty };
+}
+
+// 依排序將額外金額（以分計）分配至各債務，回傳分配明細；排除額外還款的債務不參與
+// avoidPenalties 時，仍在違約金期間的債務排到最後，只承接其他債務用不完的金額
+function allocateExtraPayment(ordered, amountCents, payments, debtSummaries, { avoidPenalties = true } = {}) {
+  let remaining = amountCents;
+  const allocations = [];
+  const candidates = avoidPenalties
+    ? [
+      ...ordered.filter((debt) => !(debt.penaltyRate > 0)),
+      ...ordered.filter((debt) => debt.penaltyRate > 0),
+    ]
+    : ordered;
+
+  for (const orderedDebt of candidates) {
+    const paymentRecord = payments.find((record) => record.debtId === orderedDebt.id);
+    const debt = paymentRecord ? paymentRecord.debt : null;
+    if (remaining <= 0 || !debt || debt.balance <= 0 || debt.excludeFromExtra) {
+      continue;
+    }
+
+    const { applied, penalty } = applyPrepayment(paymentRecord, remaining, debtSummaries);
+    if (applied <= 0) {
+      continue;
+    }
+    remaining -= applied + penalty;
+    allocations.push({
+      debtId: debt.id,
+      debtName: debt.name,
+      amount: fromCents(applied),
+      penalty: fromCents(penalty),
+    });
+  }
+
+  return { allocations, remaining };
+}
+
 // 主要策略模擬函數
+// 金額於模擬期間一律以整數「分」計算，利息採四捨五入，輸出時再換算回元，確保明細加總與總額完全一致
 function simulateStrategy(debtsInput, options = {}) {
-  const debts = normalizeDebts(debtsInput);
   const { 
     strategy = 'snowball', 
     monthlyBudget, 
     startDate = new Date(),
-    maxMonths = 600 
+    maxMonths = 600,
+    paymentFrequency = 'monthly',
+    minimumOnly = false,
+    penaltyHandling = 'avoid',
+    includeSchedule = true,
   } = options;
+  const debts = normalizeDebts(debtsInput, { startDate });
 
   // 驗證策略類型
-  if (!['snowball', 'avalanche'].includes(strategy)) {
-    throw new DebtError('策略必須是 snowball（雪球法）或 avalanche（雪崩法）');
+  const strategyOptions = resolveStrategyOptions(strategy, options);
+
+  // 驗證繳款頻率；每月名目期數用來平分月預算與最低應繳
+  if (!PAYMENT_FREQUENCIES[paymentFrequency]) {
+    throw new DebtError(`繳款頻率必須是 ${SUPPORTED_PAYMENT_FREQUENCIES.join('、')} 其中之一`);
+  }
+  const { periodsPerYear, periodsPerMonth } = PAYMENT_FREQUENCIES[paymentFrequency];
+  const perPeriod = (cents) => multiplyCents(cents, 1 / periodsPerMonth);
+  const allocationSettings = normalizeAllocationSettings(options.allocationSettings);
+  if (!['avoid', 'include'].includes(penaltyHandling)) {
+    throw new DebtError('違約金處理方式必須是 avoid 或 include');
   }
+  const allocationOptions = { avoidPenalties: penaltyHandling === 'avoid' };
+  const maxPeriods = Math.ceil((maxMonths * periodsPerYear) / 12);
 
   // 驗證預算
-  const budget = Number(monthlyBudget);
-  if (!budget || budget <= 0) {
+  const baseBudget = Number(monthlyBudget);
+  if (!baseBudget || baseBudget <= 0) {
     throw new DebtError('月預算必須是正數');
   }
+  const { changes: budgetChanges, windfalls } = normalizeBudgetTimeline(options);
+  const baseBudgetCents = toCents(baseBudget);
+  const budgetChangesCents = budgetChanges.map((change) => ({
+    ...change,
+    monthlyBudget: toCents(change.monthlyBudget),
+  }));
 
   // 初始化變數
-  const activeDebts = debts.map((debt) => ({ ...debt }));
+  const activeDebts = debts.map((debt) => {
+    const setting = allocationSettings.get(String(debt.id));
+    return {
+      ...debt,
+      balance: toCents(debt.balance),
+      minimumPayment: perPeriod(toCents(debt.minimumPayment)),
+      lastPayment: 0,
+      lastMinimumDue: 0,
+      interestOnly: false,
+      excludeFromExtra: setting ? setting.excludeFromExtra : debt.balanceComponent === 'installment',
+      earmark: setting ? perPeriod(toCents(setting.earmark)) : 0,
+      paymentCap: setting && setting.maxMonthlyPayment !== null ? perPeriod(toCents(setting.maxMonthlyPayment)) : null,
+    };
+  });
   const debtSummaries = new Map();
-  let monthIndex = 0;
+  let periodIndex = 0;
   const schedule = [];
+  // 不需逐月明細時（如蒙地卡羅試驗）只記錄最後一期，省去格式化明細的成本
+  let lastPeriod = null;
   let totalInterest = 0;
   let totalPaid = 0;
+  let totalFees = 0;
+  let totalPenalties = 0;
   const start = new Date(startDate);
+  const budget = perPeriod(getBudgetForMonth(baseBudgetCents, budgetChangesCents, toYearMonth(start)));
+  const pendingWindfalls = windfalls.map((windfall) => ({ ...windfall, amount: toCents(windfall.amount) }));
 
   // 檢查預算是否足夠
   const minimumRequired = activeDebts.reduce(
@@ -102,7 +912,7 @@ function simulateStrategy(debtsInput, options = {}) {
   
   if (budget < minimumRequired) {
     throw new DebtError(
-      `月預算 $${budget.toFixed(2)} 不足，最低需要 $${minimumRequired.toFixed(2)}`
+      `月預算 $${fromCents(budget).toFixed(2)} 不足，最低需要 $${fromCents(minimumRequired).toFixed(2)}`
     );
   }
 
@@ -111,31 +921,85 @@ function simulateStrategy(debtsInput, options = {}) {
     debtSummaries.set(debt.id, {
       debtId: debt.id,
       debtName: debt.name,
+      parentDebtId: debt.parentDebtId,
+      balanceComponent: debt.balanceComponent,
       totalInterest: 0,
       totalPaid: 0,
+      totalFees: 0,
+      totalPenalties: 0,
       monthsToPayoff: null,
+      periodsToPayoff: null,
       payoffDate: null,
       startingBalance: debt.balance,
+      aprHistory: [],
+      installmentPayment: debt.remainingPeriods ? debt.minimumPayment : null,
+      remainingPeriods: debt.remainingPeriods,
+      contractualPayoffDate: debt.remainingPeriods
+        ? formatISODate(addMonths(start, debt.remainingPeriods - 1))
+        : null,
+      paymentChanges: [],
     });
   });
 
   // 主要模擬循環
-  while (activeDebts.some((debt) => debt.balance > 0.01)) {
-    if (monthIndex >= maxMonths) {
-      throw new DebtError(`模擬超過最大支援期間（${Math.floor(maxMonths/12)} 年）`);
+  while (activeDebts.some((debt) => debt.balance > 0)) {
+    if (periodIndex >= maxPeriods) {
+      throw new DebtError(`模擬超過最大支援期間（${Math.floor(maxMonths/12)} 年）`, 422);
     }
 
-    monthIndex += 1;
-    const currentDate = addMonths(start, monthIndex - 1);
-    const ordered = orderDebts(activeDebts, strategy);
+    periodIndex += 1;
+    const currentDate = getPeriodDate(start, paymentFrequency, periodIndex - 1);
+    const currentMonth = toYearMonth(currentDate);
+    const monthIndex = differenceInCalendarMonths(currentDate, start) + 1;
+    const previousDate = getPeriodDate(start, paymentFrequency, periodIndex - 2);
+    // 非月繳時，利息依上次繳款日至本次繳款日的實際天數計算
+    const accrualDays = differenceInCalendarDays(currentDate, previousDate);
+
+    // 套用本月適用的利率，排序亦以當月利率為準
+    const endedPhases = new Set();
+    activeDebts.forEach((debt) => {
+      const previousApr = debt.apr;
+      debt.apr = getEffectiveApr(debt, currentDate);
+      debt.penaltyRate = getPenaltyRate(debt, currentDate);
+      // 分期貸款遇到利率調整時，依剩餘期數重新計算每期應繳金額
+      if (debt.remainingPeriods && periodIndex > 1 && debt.apr !== previousApr && debt.balance > 0) {
+        debt.minimumPayment = perPeriod(toCents(
+          calculateAnnuityPayment(fromCents(debt.balance), debt.apr, debt.remainingPeriods),
+        ));
+      }
+      // 寬限期結束：分期貸款依剩餘期數開始攤還本息，循環信用恢復原最低應繳
+      const wasInterestOnly = debt.interestOnly;
+      debt.interestOnly = findInterestOnlyPhase(debt.interestOnlyPhases, currentMonth) !== null;
+      if (wasInterestOnly && !debt.interestOnly && debt.balance > 0) {
+        if (debt.remainingPeriods) {
+          debt.minimumPayment = perPeriod(toCents(
+            calculateAnnuityPayment(fromCents(debt.balance), debt.apr, debt.remainingPeriods),
+          ));
+        } else if (!debt.minimumPaymentRule) {
+          debt.minimumPayment = perPeriod(toCents(debt.baseMinimumPayment));
+        }
+        endedPhases.add(debt.id);
+      }
+      const { aprHistory } = debtSummaries.get(debt.id);
+      const lastApr = aprHistory.length > 0 ? aprHistory[aprHistory.length - 1].apr : null;
+      if (debt.balance > 0 && debt.apr !== lastApr) {
+        aprHistory.push({ date: formatISODate(currentDate), apr: debt.apr });
+      }
+    });
+
+    const ordered = orderDebts(activeDebts, strategy, strategyOptions);
+    const rankById = new Map(ordered.map((debt, index) => [debt.id, index + 1]));
     const interestMap = new Map();
 
     // 計算本月利息
     let monthInterest = 0;
     activeDebts.forEach((debt) => {
-      const monthlyRate = debt.apr / 100 / 12;
-      const interest = clampToZero(debt.balance * monthlyRate);
-      debt.balance = clampToZero(debt.balance + interest);
+      const periodRate = paymentFrequency === 'monthly'
+        ? debt.apr / 100 / 12
+        : (debt.apr / 100) * (accrualDays / 365);
+      const window = getAccrualWindow(debt, currentDate, previousDate, paymentFrequency);
+      const interest = calculatePeriodInterest(debt, window, periodRate);
+      debt.balance += interest;
       monthInterest += interest;
       interestMap.set(debt.id, interest);
 
@@ -143,149 +1007,556 @@ function simulateStrategy(debtsInput, options = {}) {
       summary.totalInterest += interest;
     });
 
+    // 收取本月到期的週期性費用（每月第一次繳款時計入餘額）
+    const feeMap = new Map();
+    let monthFees = 0;
+    const startsMonth = periodIndex === 1 || toYearMonth(previousDate) !== currentMonth;
+    activeDebts.forEach((debt) => {
+      if (!startsMonth || debt.balance <= 0) {
+        return;
+      }
+      const fees = sumCents(debt.recurringFees
+        .filter((fee) => {
+          const elapsed = monthsBetween(fee.startMonth, currentMonth);
+          return elapsed >= 0 && elapsed % fee.intervalMonths === 0;
+        })
+        .map((fee) => toCents(fee.amount)));
+      if (fees > 0) {
+        debt.balance += fees;
+        monthFees += fees;
+        feeMap.set(debt.id, fees);
+        debtSummaries.get(debt.id).totalFees += fees;
+      }
+    });
+
+    // 依規則重新計算本期最低應繳金額（以月為基準再平分至各期）
+    activeDebts.forEach((debt) => {
+      if (debt.minimumPaymentRule && debt.balance > 0) {
+        debt.minimumPayment = perPeriod(toCents(evaluateMinimumPayment(debt.minimumPaymentRule, {
+          balance: fromCents(debt.balance),
+          interest: fromCents((interestMap.get(debt.id) || 0) * periodsPerMonth),
+        })));
+      }
+    });
+
+    // 寬限期內最低應繳為當期利息；寬限期剛結束的債務記錄應繳金額的變動
+    const paymentChanges = [];
+    activeDebts.forEach((debt) => {
+      if (debt.balance <= 0) {
+        return;
+      }
+      if (debt.interestOnly) {
+        debt.minimumPayment = interestMap.get(debt.id) || 0;
+      } else if (endedPhases.has(debt.id)) {
+        const change = {
+          date: formatISODate(currentDate),
+          previousPayment: fromCents(debt.lastMinimumDue),
+          newPayment: fromCents(Math.min(debt.minimumPayment, debt.balance)),
+        };
+        debtSummaries.get(debt.id).paymentChanges.push(change);
+        paymentChanges.push({ debtId: debt.id, debtName: debt.name, ...change });
+      }
+    });
+
     // 分配還款
-    let remainingBudget = budget;
+    const monthBudget = perPeriod(getBudgetForMonth(baseBudgetCents, budgetChangesCents, currentMonth));
+    let remainingBudget = monthBudget;
     const payments = [];
 
-    // 第一步：支付最低還款額
+    // 第一步：支付最低還款額（分期貸款的當期費用隨分期款一併繳納）
     for (const debt of activeDebts) {
-      const minimumPayment = Math.min(debt.minimumPayment, debt.balance);
+      const feesDue = debt.remainingPeriods ? feeMap.get(debt.id) || 0 : 0;
+      const minimumPayment = Math.min(debt.minimumPayment + feesDue, debt.balance);
       const payment = Math.min(minimumPayment, remainingBudget);
       
-      debt.balance = clampToZero(debt.balance - payment);
-      remainingBudget = clampToZero(remainingBudget - payment);
+      debt.balance -= payment;
+      remainingBudget -= payment;
       
       const summary = debtSummaries.get(debt.id);
       summary.totalPaid += payment;
       
       payments.push({
+        debt,
         debtId: debt.id,
         debtName: debt.name,
-        payment: clampToZero(payment),
-        interestAccrued: clampToZero(interestMap.get(debt.id) || 0),
+        parentDebtId: debt.parentDebtId,
+        balanceComponent: debt.balanceComponent,
+        // 本期額外預算的分配順位（依策略排序，1 為最優先）
+        priority: rankById.get(debt.id),
+        payment,
+        minimumDue: minimumPayment,
+        interestOnly: debt.interestOnly,
+        earmarked: 0,
+        penaltyPaid: 0,
+        feesCharged: feeMap.get(debt.id) || 0,
+        apr: debt.apr,
+        interestAccrued: interestMap.get(debt.id) || 0,
         balanceRemaining: debt.balance,
       });
     }
 
-    // 第二步：按策略分配額外還款
-    for (const debt of ordered) {
-      if (remainingBudget <= 0 || debt.balance <= 0) {
-        continue;
-      }
+    const minimumShortfall = sumCents(payments.map((record) => record.minimumDue - record.payment));
 
-      const extraPayment = Math.min(debt.balance, remainingBudget);
-      debt.balance = clampToZero(debt.balance - extraPayment);
-      remainingBudget = clampToZero(remainingBudget - extraPayment);
-      
-      const summary = debtSummaries.get(debt.id);
-      summary.totalPaid += extraPayment;
-      
-      const paymentRecord = payments.find((record) => record.debtId === debt.id);
-      if (paymentRecord) {
-        paymentRecord.payment = clampToZero(paymentRecord.payment + extraPayment);
-        paymentRecord.balanceRemaining = debt.balance;
-      }
+    // 第二步：先支付指定加碼金額，其餘額外預算按策略分配（只繳最低時略過）
+    if (!minimumOnly) {
+      payments.forEach((record) => {
+        const available = Math.min(record.debt.earmark, remainingBudget);
+        if (available <= 0 || record.debt.balance <= 0) {
+          return;
+        }
+        const { applied, penalty } = applyPrepayment(record, available, debtSummaries);
+        remainingBudget -= applied + penalty;
+        record.earmarked = applied;
+      });
+      remainingBudget = allocateExtraPayment(
+        ordered,
+        remainingBudget,
+        payments,
+        debtSummaries,
+        allocationOptions,
+      ).remaining;
+    }
+
+    // 第三步：一次性大額還款依相同策略分配
+    const monthWindfalls = [];
+    const windfallDue = (windfall) => (
+      paymentFrequency === 'monthly' ? windfall.month <= currentMonth : windfall.date <= formatISODate(currentDate)
+    );
+    while (pendingWindfalls.length > 0 && windfallDue(pendingWindfalls[0])) {
+      const windfall = pendingWindfalls.shift();
+      const { allocations, remaining } = allocateExtraPayment(
+        ordered,
+        windfall.amount,
+        payments,
+        debtSummaries,
+        allocationOptions,
+      );
+      monthWindfalls.push({
+        date: windfall.date,
+        amount: fromCents(windfall.amount),
+        note: windfall.note,
+        allocations,
+        unallocated: fromCents(remaining),
+      });
     }
 
-    // 計算本月統計
-    const monthPaid = payments.reduce((sum, item) => sum + item.payment, 0);
+    // 記錄本期實際還款，供下期依入帳日計算平均每日餘額
+    payments.forEach((record) => {
+      record.debt.lastPayment = record.payment;
+      record.debt.lastMinimumDue = record.minimumDue;
+    });
+
+    // 分期貸款於每月最後一次繳款後扣減一期
+    const closesMonth = toYearMonth(getPeriodDate(start, paymentFrequency, periodIndex)) !== currentMonth;
+    activeDebts.forEach((debt) => {
+      if (closesMonth && debt.remainingPeriods && debt.remainingPeriods > 1) {
+        debt.remainingPeriods -= 1;
+      }
+    });
+
+    // 計算本月統計（實付金額含違約金）
+    const monthPenalties = sumCents(payments.map((item) => item.penaltyPaid));
+    const monthPaid = sumCents(payments.map((item) => item.payment)) + monthPenalties;
     totalPaid += monthPaid;
     totalInterest += monthInterest;
+    totalFees += monthFees;
+    totalPenalties += monthPenalties;
 
     // 檢查已還清的債務
     activeDebts.forEach((debt) => {
       const summary = debtSummaries.get(debt.id);
-      if (debt.balance <= 0.01 && summary.monthsToPayoff === null) {
+      if (debt.balance <= 0 && summary.monthsToPayoff === null) {
         summary.monthsToPayoff = monthIndex;
+        summary.periodsToPayoff = periodIndex;
         summary.payoffDate = formatISODate(currentDate);
         debt.balance = 0;
       }
     });
 
-    const remainingBalance = activeDebts.reduce((sum, debt) => sum + debt.balance, 0);
+    lastPeriod = { monthIndex, date: formatISODate(currentDate) };
+    if (!includeSchedule) {
+      continue;
+    }
+    const remainingBalance = sumCents(activeDebts.map((debt) => debt.balance));
     
     schedule.push({
+      periodIndex,
       monthIndex,
       date: formatISODate(currentDate),
-      totalInterest: clampToZero(monthInterest),
-      totalPaid: clampToZero(monthPaid),
-      remainingBalance: clampToZero(remainingBalance),
-      payments: payments.map((payment) => ({
-        ...payment,
-        payment: clampToZero(payment.payment),
-        interestAccrued: clampToZero(payment.interestAccrued),
-        balanceRemaining: clampToZero(payment.balanceRemaining),
-      })),
+      budget: fromCents(monthBudget),
+      minimumShortfall: fromCents(minimumShortfall),
+      totalInterest: fromCents(monthInterest),
+      totalFees: fromCents(monthFees + monthPenalties),
+      totalPaid: fromCents(monthPaid),
+      remainingBalance: fromCents(remainingBalance),
+      windfalls: monthWindfalls,
+      paymentChanges,
+      payments: payments.map(({ debt: _debt, ...payment }) => {
+        // 攤還拆分：還款先抵當月利息，其餘為本金
+        const interestPaid = Math.min(payment.payment, payment.interestAccrued);
+        return {
+          ...payment,
+          payment: fromCents(payment.payment),
+          minimumDue: fromCents(payment.minimumDue),
+          earmarked: fromCents(payment.earmarked),
+          penaltyPaid: fromCents(payment.penaltyPaid),
+          feesCharged: fromCents(payment.feesCharged),
+          interestAccrued: fromCents(payment.interestAccrued),
+          interestPaid: fromCents(interestPaid),
+          principalPaid: fromCents(payment.payment - interestPaid),
+          balanceRemaining: fromCents(payment.balanceRemaining),
+        };
+      }),
     });
   }
 
   return {
     strategy,
-    months: monthIndex,
-    totalInterest: clampToZero(totalInterest),
-    totalPaid: clampToZero(totalPaid),
-    payoffDate: schedule.length > 0 ? schedule[schedule.length - 1].date : formatISODate(start),
+    ...strategyOptions,
+    paymentFrequency,
+    months: lastPeriod ? lastPeriod.monthIndex : 0,
+    periods: periodIndex,
+    totalInterest: fromCents(totalInterest),
+    totalPaid: fromCents(totalPaid),
+    totalFees: fromCents(totalFees + totalPenalties),
+    totalPenalties: fromCents(totalPenalties),
+    payoffDate: lastPeriod ? lastPeriod.date : formatISODate(start),
     schedule,
     debtSummaries: Array.from(debtSummaries.values()).map((summary) => ({
       debtId: summary.debtId,
       debtName: summary.debtName,
-      totalInterest: clampToZero(summary.totalInterest),
-      totalPaid: clampToZero(summary.totalPaid),
+      parentDebtId: summary.parentDebtId,
+      balanceComponent: summary.balanceComponent,
+      totalInterest: fromCents(summary.totalInterest),
+      totalPaid: fromCents(summary.totalPaid),
+      totalFees: fromCents(summary.totalFees + summary.totalPenalties),
+      totalPenalties: fromCents(summary.totalPenalties),
       monthsToPayoff: summary.monthsToPayoff,
+      periodsToPayoff: summary.periodsToPayoff,
       payoffDate: summary.payoffDate,
-      startingBalance: clampToZero(summary.startingBalance),
+      startingBalance: fromCents(summary.startingBalance),
+      aprHistory: summary.aprHistory,
+      installmentPayment: summary.installmentPayment === null ? null : fromCents(summary.installmentPayment),
+      remainingPeriods: summary.remainingPeriods,
+      contractualPayoffDate: summary.contractualPayoffDate,
+      paymentChanges: summary.paymentChanges,
     })),
   };
 }
 
-// 比較策略
-function compareStrategies(debts, monthlyBudget, startDate = new Date()) {
-  try {
-    const snowballResult = simulateStrategy(debts, {
-      strategy: 'snowball',
-      monthlyBudget,
-      startDate
-    });
+// 只繳最低應繳金額的比較基準
+const MINIMUM_ONLY_BASELINE = 'minimum_only';
+
+// 策略名稱（供比較說明使用）
+const STRATEGY_LABELS = {
+  snowball: '雪球法',
+  avalanche: '雪崩法',
+  highest_interest: '最高利息優先',
+  cash_flow_index: '現金流指數法',
+  hybrid: '混合法',
+  custom: '自訂順序',
+  [MINIMUM_ONLY_BASELINE]: '只繳最低應繳',
+};
+
+// 比較目標：對應的指標、數值越低或越高越好，以及說明用單位
+const COMPARISON_OBJECTIVES = {
+  interest: { label: '總利息', metric: 'totalInterest', better: 'lower', format: (value) => `$${value.toFixed(0)}` },
+  time: { label: '還清月數', metric: 'months', better: 'lower', format: (value) => `${value} 個月` },
+  firstPayoff: {
+    label: '第一筆債務還清月數',
+    metric: 'monthsToFirstPayoff',
+    better: 'lower',
+    format: (value) => `${value} 個月`,
+  },
+  accountsClosedFirstYear: {
+    label: '首年結清帳戶數',
+    metric: 'accountsClosedFirstYear',
+    better: 'higher',
+    format: (value) => `${value} 個`,
+  },
+};
 
-    const avalancheResult = simulateStrategy(debts, {
-      strategy: 'avalanche',
-      monthlyBudget,
-      startDate
+const DEFAULT_OBJECTIVE_WEIGHTS = { interest: 0.6, time: 0.2, firstPayoff: 0.1, accountsClosedFirstYear: 0.1 };
+
+// 驗證目標權重並正規化為總和 1
+function normalizeObjectiveWeights(objectives) {
+  if (objectives === undefined || objectives === null) {
+    return { ...DEFAULT_OBJECTIVE_WEIGHTS };
+  }
+  if (typeof objectives !== 'object' || Array.isArray(objectives)) {
+    throw new DebtError('比較目標必須是目標名稱對應權重的物件');
+  }
+  const entries = Object.entries(objectives).map(([objective, value]) => {
+    const weight = Number(value);
+    if (!COMPARISON_OBJECTIVES[objective]) {
+      throw new DebtError(`比較目標必須是 ${Object.keys(COMPARISON_OBJECTIVES).join('、')} 其中之一`);
+    }
+    if (isNaN(weight) || weight < 0) {
+      throw new DebtError('比較目標權重不可為負數');
+    }
+    return [objective, weight];
+  }).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) {
+    throw new DebtError('至少需要一個權重大於 0 的比較目標');
+  }
+  return Object.fromEntries(entries.map(([objective, weight]) => [objective, weight / total]));
+}
+
+// 整理單一策略的比較指標
+function summarizeComparisonMetrics(result) {
+  const payoffMonths = result.debtSummaries
+    .map((summary) => summary.monthsToPayoff)
+    .filter((value) => value !== null);
+  return {
+    totalInterest: result.totalInterest,
+    months: result.months,
+    payoffDate: result.payoffDate,
+    monthsToFirstPayoff: payoffMonths.length > 0 ? Math.min(...payoffMonths) : null,
+    accountsClosedFirstYear: payoffMonths.filter((value) => value <= 12).length,
+  };
+}
+
+// 依加權目標為策略評分並排序（各目標以最佳者 1 分、最差者 0 分換算）
+function rankStrategies(entries, weights) {
+  const scored = entries.map((entry) => {
+    const scores = {};
+    let score = 0;
+    Object.entries(weights).forEach(([objective, weight]) => {
+      const { metric, better } = COMPARISON_OBJECTIVES[objective];
+      const values = entries.map((item) => item.metrics[metric]);
+      const best = better === 'lower' ? Math.min(...values) : Math.max(...values);
+      const worst = better === 'lower' ? Math.max(...values) : Math.min(...values);
+      const objectiveScore = best === worst ? 1 : Math.abs(entry.metrics[metric] - worst) / Math.abs(best - worst);
+      scores[objective] = Number(objectiveScore.toFixed(4));
+      score += weight * objectiveScore;
     });
+    return { ...entry, score: Number(score.toFixed(4)), scores };
+  });
 
-    const interestSavings = snowballResult.totalInterest - avalancheResult.totalInterest;
-    const timeSavings = snowballResult.months - avalancheResult.months;
+  return scored
+    .sort((a, b) => b.score - a.score || a.metrics.totalInterest - b.metrics.totalInterest)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
 
-    return {
-      snowball: snowballResult,
-      avalanche: avalancheResult,
-      comparison: {
-        interestSavings: clampToZero(interestSavings),
-        timeSavings,
-        recommendedStrategy: interestSavings > 1000 ? 'avalanche' : 'snowball',
-        reasoning: interestSavings > 1000 
-          ? `雪崩法可節省 $${Math.abs(interestSavings).toFixed(0)} 利息`
-          : '雪球法能提供更好的心理激勵，建議優先使用'
+// 產生推薦策略的結構化說明：優勢、取捨與相對只繳最低的效益
+function explainRecommendation(ranking, baseline, weights) {
+  const [winner, runnerUp] = ranking;
+  const points = Object.entries(weights)
+    .sort((a, b) => b[1] - a[1])
+    .map(([objective, weight]) => {
+      const { label, metric, better, format } = COMPARISON_OBJECTIVES[objective];
+      const value = winner.metrics[metric];
+      const comparedValue = runnerUp ? runnerUp.metrics[metric] : null;
+      const difference = runnerUp
+        ? (metric === 'totalInterest' ? subtractMoney(value, comparedValue) : value - comparedValue)
+        : 0;
+      let advantage = 'tie';
+      if (difference !== 0) {
+        advantage = (better === 'lower') === (difference < 0) ? 'better' : 'worse';
       }
-    };
+      const otherLabel = runnerUp ? runnerUp.label : '';
+      let message = `${label}為 ${format(value)}`;
+      if (runnerUp) {
+        message = difference === 0
+          ? `${label}與${otherLabel}相同（${format(value)}）`
+          : `${label}比${otherLabel}${difference < 0 ? '少' : '多'} ${format(Math.abs(difference))}`;
+      }
+      return {
+        objective,
+        label,
+        weight: Number(weight.toFixed(4)),
+        value,
+        comparedTo: runnerUp ? runnerUp.strategy : null,
+        comparedValue,
+        difference,
+        advantage,
+        message,
+      };
+    });
+
+  return {
+    recommendedStrategy: winner.strategy,
+    label: winner.label,
+    score: winner.score,
+    summary: `${winner.label}在加權目標中得分最高（${Math.round(winner.score * 100)} 分）`,
+    reasons: points.filter((point) => point.advantage !== 'worse'),
+    tradeoffs: points.filter((point) => point.advantage === 'worse'),
+    versusBaseline: baseline && baseline.metrics
+      ? {
+        interestSavings: subtractMoney(baseline.metrics.totalInterest, winner.metrics.totalInterest),
+        monthsSaved: baseline.metrics.months - winner.metrics.months,
+      }
+      : null,
+  };
+}
+
+// 比較多種策略與只繳最低的基準，依目標權重排序並產生推薦說明
+function compareStrategies(debts, monthlyBudget, startDate = new Date(), options = {}) {
+  const {
+    strategies = ['snowball', 'avalanche'],
+    objectives,
+    includeBaseline = true,
+    ...simulationOptions
+  } = options;
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    throw new DebtError('請提供至少一種要比較的策略');
+  }
+  const weights = normalizeObjectiveWeights(objectives);
+  const results = {};
+
+  try {
+    Array.from(new Set(strategies)).forEach((strategy) => {
+      results[strategy] = simulateStrategy(debts, {
+        ...simulationOptions,
+        strategy,
+        monthlyBudget,
+        startDate,
+      });
+    });
   } catch (error) {
-    throw new DebtError(`策略比較失敗：${error.message}`);
+    throw new DebtError(`策略比較失敗：${error.message}`, error.code);
+  }
+
+  // 只繳最低的基準不含額外預算與一次性還款；無法清償時保留錯誤訊息
+  let baseline = null;
+  if (includeBaseline) {
+    try {
+      const { lumpSums: _lumpSums, budgetChanges: _budgetChanges, ...baselineOptions } = simulationOptions;
+      const result = simulateStrategy(debts, { ...baselineOptions, monthlyBudget, startDate, minimumOnly: true });
+      baseline = {
+        ...result,
+        strategy: MINIMUM_ONLY_BASELINE,
+        label: STRATEGY_LABELS[MINIMUM_ONLY_BASELINE],
+        metrics: summarizeComparisonMetrics(result),
+        error: null,
+      };
+    } catch (error) {
+      if (!(error instanceof DebtError)) {
+        throw error;
+      }
+      baseline = {
+        strategy: MINIMUM_ONLY_BASELINE,
+        label: STRATEGY_LABELS[MINIMUM_ONLY_BASELINE],
+        metrics: null,
+        error: error.message,
+      };
+    }
+  }
+
+  const ranking = rankStrategies(
+    Object.values(results).map((result) => ({
+      strategy: result.strategy,
+      label: STRATEGY_LABELS[result.strategy],
+      metrics: summarizeComparisonMetrics(result),
+    })),
+    weights,
+  );
+  const explanation = explainRecommendation(ranking, baseline, weights);
+  const recommended = results[explanation.recommendedStrategy];
+  const worstInterest = Math.max(...ranking.map((entry) => entry.metrics.totalInterest));
+  const slowest = Math.max(...ranking.map((entry) => entry.metrics.months));
+  // interestSavings／timeSavings 維持原意：雪球法減雪崩法；未同時比較兩者時為 null
+  const { snowball, avalanche } = results;
+  const bothClassic = Boolean(snowball && avalanche);
+
+  return {
+    ...results,
+    baseline,
+    objectives: weights,
+    ranking,
+    comparison: {
+      interestSavings: bothClassic ? clampToZero(subtractMoney(snowball.totalInterest, avalanche.totalInterest)) : null,
+      timeSavings: bothClassic ? snowball.months - avalanche.months : null,
+      recommendedInterestSavings: clampToZero(subtractMoney(worstInterest, recommended.totalInterest)),
+      recommendedTimeSavings: slowest - recommended.months,
+      recommendedStrategy: explanation.recommendedStrategy,
+      reasoning: [explanation.summary, ...explanation.reasons.map((reason) => reason.message)].join('；'),
+      baselineInterestSavings: explanation.versusBaseline ? explanation.versusBaseline.interestSavings : null,
+      explanation,
+    },
+  };
+}
+
+// 反向求解：達成目標還清日期所需的最低月預算
+function solveRequiredBudget(debts, options = {}) {
+  const { targetDate, startDate = new Date(), precision = 0.01, ...simulationOptions } = options;
+  const target = new Date(targetDate);
+  if (isNaN(target.getTime())) {
+    throw new DebtError('請提供有效的目標還清日期');
+  }
+  const start = new Date(startDate);
+  const targetMonth = toYearMonth(target);
+  if (targetMonth < toYearMonth(start)) {
+    throw new DebtError('目標還清日期不可早於模擬開始日期');
   }
+
+  // 預算不足或超出模擬期間時視為未達標
+  const trySimulate = (monthlyBudget) => {
+    try {
+      const result = simulateStrategy(debts, { ...simulationOptions, startDate: start, monthlyBudget });
+      return toYearMonth(result.payoffDate) <= targetMonth ? result : null;
+    } catch (error) {
+      if (error instanceof DebtError) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // 上限：第一次繳款即可清償全部餘額（含當月利息、費用與違約金）
+  const normalized = normalizeDebts(debts, { startDate: start });
+  const { periodsPerMonth = 1 } = PAYMENT_FREQUENCIES[simulationOptions.paymentFrequency] || {};
+  let high = normalized.reduce((sum, debt) => {
+    const maxApr = Math.max(debt.apr, ...debt.rateSchedule.map((entry) => entry.apr));
+    const penaltyFactor = 1 + (debt.prepaymentPenalty ? debt.prepaymentPenalty.percent / 100 : 0);
+    const fees = debt.recurringFees.reduce((total, fee) => total + fee.amount, 0);
+    return sum + (debt.balance * (1 + maxApr / 100 / 12) + fees) * penaltyFactor;
+  }, 0);
+  high = roundMoney(high * periodsPerMonth, 'up');
+  let best = trySimulate(high);
+  if (!best) {
+    throw new DebtError('在目標日期前無法還清所有債務');
+  }
+
+  let low = 0;
+  while (high - low > precision) {
+    const middle = roundMoney((low + high) / 2, 'up');
+    if (middle >= high) {
+      break;
+    }
+    const result = trySimulate(middle);
+    if (result) {
+      high = middle;
+      best = result;
+    } else {
+      low = middle;
+    }
+  }
+
+  return {
+    targetDate: formatISODate(target),
+    requiredMonthlyBudget: high,
+    result: best,
+  };
 }
 
-// 計算額外還款效果
-function calculateExtraPaymentEffect(debts, baseMonthlyBudget, extraAmount, strategy = 'avalanche') {
-  const baseResult = simulateStrategy(debts, {
+// 計算額外還款效果（options 可帶入其他模擬參數，例如 startDate；baseResult 可重用已算好的基準模擬）
+function calculateExtraPaymentEffect(debts, baseMonthlyBudget, extraAmount, strategy = 'avalanche', options = {}) {
+  const { baseResult: precomputedBase, ...simulationOptions } = options;
+  const baseResult = precomputedBase || simulateStrategy(debts, {
+    ...simulationOptions,
     strategy,
     monthlyBudget: baseMonthlyBudget
   });
 
-  const extraResult = simulateStrategy(debts, {
+  const extraResult = extraAmount > 0 ? simulateStrategy(debts, {
+    ...simulationOptions,
     strategy,
     monthlyBudget: baseMonthlyBudget + extraAmount
-  });
+  }) : baseResult;
 
-  const interestSavings = baseResult.totalInterest - extraResult.totalInterest;
+  const interestSavings = subtractMoney(baseResult.totalInterest, extraResult.totalInterest);
   const timeSavings = baseResult.months - extraResult.months;
 
   return {
@@ -301,8 +1572,26 @@ function calculateExtraPaymentEffect(debts, baseMonthlyBudget, extraAmount, stra
 }
 
 export {
+  SUPPORTED_STRATEGIES,
+  SUPPORTED_PAYMENT_FREQUENCIES,
+  normalizeDebts,
+  orderDebts,
+  normalizeBudgetTimeline,
+  getBudgetForMonth,
+  getEffectiveApr,
+  calculateAnnuityPayment,
+  getRemainingPeriods,
+  getInterestOnlyStatus,
+  INSTALLMENT_FEE_FREQUENCIES,
+  splitCardBalance,
+  MINIMUM_PAYMENT_RULES,
+  evaluateMinimumPayment,
+  INTEREST_METHODS,
   simulateStrategy,
+  MINIMUM_ONLY_BASELINE,
+  COMPARISON_OBJECTIVES,
   compareStrategies,
   calculateExtraPaymentEffect,
+  solveRequiredBudget,
   DebtError
 };
\ No newline at end of file
@@ -0,0 +1,245 @@
+// 模擬前診斷：負攤還、無法清償與預算過緊
+import { formatISO } from 'date-fns';
+import {
+  normalizeDebts,
+  normalizeBudgetTimeline,
+  getBudgetForMonth,
+  getEffectiveApr,
+  simulateStrategy,
+  DebtError,
+} from './debtStrategies.js';
+import { toCents, fromCents, multiplyCents, sumCents } from '../utils/money.js';
+
+const DIAGNOSTIC_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  MINIMUM_BELOW_INTEREST: 'MINIMUM_BELOW_INTEREST',
+  BALANCE_GROWS_BEFORE_SHRINKING: 'BALANCE_GROWS_BEFORE_SHRINKING',
+  BUDGET_BELOW_MINIMUMS: 'BUDGET_BELOW_MINIMUMS',
+  BUDGET_BELOW_INTEREST: 'BUDGET_BELOW_INTEREST',
+  BUDGET_BARELY_COVERS_MINIMUMS: 'BUDGET_BARELY_COVERS_MINIMUMS',
+  BUDGET_SHORTFALL_MONTHS: 'BUDGET_SHORTFALL_MONTHS',
+  PAYOFF_EXCEEDS_HORIZON: 'PAYOFF_EXCEEDS_HORIZON',
+};
+
+// 屬於輸入驗證錯誤的診斷（維持 400），其餘阻擋模擬的錯誤代表計畫無法清償
+const INPUT_ERROR_CODES = [DIAGNOSTIC_CODES.INVALID_INPUT, DIAGNOSTIC_CODES.BUDGET_BELOW_MINIMUMS];
+
+// 預設預算寬裕度門檻：高於最低應繳總額不到 5% 視為過緊
+const DEFAULT_TIGHT_BUDGET_PERCENT = 5;
+
+// 格式化日期為 ISO 字串
+const formatISODate = (date) => formatISO(date, { representation: 'date' });
+
+// 建立單筆診斷結果
+function createDiagnostic(code, severity, message, details = {}, debt = null) {
+  return {
+    code,
+    severity,
+    message,
+    debtId: debt ? debt.id : null,
+    debtName: debt ? debt.name : null,
+    details,
+  };
+}
+
+// 首月利息（以分計），依起始日適用的利率計算，與模擬一致
+const getFirstMonthInterest = (debt, start) => (
+  multiplyCents(toCents(debt.balance), getEffectiveApr(debt, start) / 100 / 12)
+);
+
+// 檢查各債務最低應繳是否足以支付首月利息
+function checkMinimumCoverage(debts, start) {
+  return debts
+    .map((debt) => {
+      const monthlyInterest = getFirstMonthInterest(debt, start);
+      const minimumPayment = toCents(debt.minimumPayment);
+      if (minimumPayment >= monthlyInterest || monthlyInterest === 0) {
+        return null;
+      }
+      return createDiagnostic(
+        DIAGNOSTIC_CODES.MINIMUM_BELOW_INTEREST,
+        'warning',
+        `債務「${debt.name || debt.id}」的最低應繳金額不足以支付每月利息，只繳最低金額時餘額會持續增加`,
+        {
+          minimumPayment: fromCents(minimumPayment),
+          monthlyInterest: fromCents(monthlyInterest),
+          shortfall: fromCents(monthlyInterest - minimumPayment),
+        },
+        debt,
+      );
+    })
+    .filter(Boolean);
+}
+
+// 檢查首月預算與最低應繳總額、利息總額的關係
+function checkBudget(debts, start, budgetCents, tightBudgetPercent) {
+  const diagnostics = [];
+  const minimumRequired = sumCents(debts.map((debt) => Math.min(toCents(debt.minimumPayment), toCents(debt.balance))));
+  const monthlyInterest = sumCents(debts.map((debt) => getFirstMonthInterest(debt, start)));
+
+  if (budgetCents < minimumRequired) {
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_CODES.BUDGET_BELOW_MINIMUMS,
+      'error',
+      `月預算 $${fromCents(budgetCents).toFixed(2)} 不足，最低需要 $${fromCents(minimumRequired).toFixed(2)}`,
+      {
+        monthlyBudget: fromCents(budgetCents),
+        minimumRequired: fromCents(minimumRequired),
+        shortfall: fromCents(minimumRequired - budgetCents),
+      },
+    ));
+  } else if (minimumRequired > 0 && (budgetCents - minimumRequired) * 100 < minimumRequired * tightBudgetPercent) {
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_CODES.BUDGET_BARELY_COVERS_MINIMUMS,
+      'warning',
+      '月預算僅略高於最低應繳總額，收入或利率稍有變動就可能無法繳足',
+      {
+        monthlyBudget: fromCents(budgetCents),
+        minimumRequired: fromCents(minimumRequired),
+        headroom: fromCents(budgetCents - minimumRequired),
+        headroomPercent: Number((((budgetCents - minimumRequired) / minimumRequired) * 100).toFixed(2)),
+      },
+    ));
+  }
+
+  if (budgetCents <= monthlyInterest) {
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_CODES.BUDGET_BELOW_INTEREST,
+      'error',
+      '月預算不足以支付每月利息總額，債務永遠無法還清',
+      {
+        monthlyBudget: fromCents(budgetCents),
+        monthlyInterest: fromCents(monthlyInterest),
+      },
+    ));
+  }
+
+  return diagnostics;
+}
+
+// 依模擬結果找出餘額開始下降前經過的月數
+function checkBalanceGrowth(debts, result) {
+  return debts
+    .map((debt) => {
+      let periodsBeforeShrinking = 0;
+      let peakBalance = toCents(debt.balance);
+      for (const period of result.schedule) {
+        const payment = period.payments.find((item) => item.debtId === debt.id);
+        if (!payment || toCents(payment.payment) >= toCents(payment.interestAccrued)) {
+          break;
+        }
+        periodsBeforeShrinking += 1;
+        peakBalance = Math.max(peakBalance, toCents(payment.balanceRemaining));
+      }
+      if (periodsBeforeShrinking === 0) {
+        return null;
+      }
+      // 非月繳時以曆月計算月數
+      const firstShrinkingMonth = result.schedule[periodsBeforeShrinking];
+      const lastGrowingMonth = result.schedule[periodsBeforeShrinking - 1];
+      const monthsBeforeShrinking = firstShrinkingMonth
+        ? firstShrinkingMonth.monthIndex - 1
+        : lastGrowingMonth.monthIndex;
+      return createDiagnostic(
+        DIAGNOSTIC_CODES.BALANCE_GROWS_BEFORE_SHRINKING,
+        'warning',
+        `債務「${debt.name || debt.id}」在前 ${monthsBeforeShrinking} 個月餘額會持續增加`,
+        {
+          monthsBeforeShrinking,
+          periodsBeforeShrinking,
+          firstShrinkingDate: firstShrinkingMonth ? firstShrinkingMonth.date : null,
+          peakBalance: fromCents(peakBalance),
+        },
+        debt,
+      );
+    })
+    .filter(Boolean);
+}
+
+// 找出預算調整後無法繳足最低應繳的月份
+function checkShortfallMonths(result) {
+  const months = result.schedule
+    .filter((month) => month.minimumShortfall > 0)
+    .map((month) => ({ date: month.date, shortfall: month.minimumShortfall }));
+  if (months.length === 0) {
+    return [];
+  }
+  return [createDiagnostic(
+    DIAGNOSTIC_CODES.BUDGET_SHORTFALL_MONTHS,
+    'warning',
+    `有 ${months.length} 個月的預算不足以繳足最低應繳金額`,
+    { months },
+  )];
+}
+
+// 模擬前的結構化診斷；無阻斷性錯誤時一併回傳模擬結果
+function diagnoseDebts(debtsInput, options = {}) {
+  const {
+    startDate = new Date(),
+    monthlyBudget,
+    tightBudgetPercent = DEFAULT_TIGHT_BUDGET_PERCENT,
+  } = options;
+  const start = new Date(startDate);
+  const diagnostics = [];
+  let debts;
+  let budgetCents;
+
+  try {
+    debts = normalizeDebts(debtsInput, { startDate: start });
+    const { changes } = normalizeBudgetTimeline(options);
+    const baseBudget = Number(monthlyBudget);
+    if (!baseBudget || baseBudget <= 0) {
+      throw new DebtError('月預算必須是正數');
+    }
+    budgetCents = getBudgetForMonth(toCents(baseBudget), changes.map((change) => ({
+      ...change,
+      monthlyBudget: toCents(change.monthlyBudget),
+    })), formatISODate(start).slice(0, 7));
+  } catch (error) {
+    if (!(error instanceof DebtError)) {
+      throw error;
+    }
+    diagnostics.push(createDiagnostic(DIAGNOSTIC_CODES.INVALID_INPUT, 'error', error.message));
+    return { canSimulate: false, diagnostics, result: null };
+  }
+
+  diagnostics.push(...checkMinimumCoverage(debts, start));
+  diagnostics.push(...checkBudget(debts, start, budgetCents, tightBudgetPercent));
+
+  if (diagnostics.some((diagnostic) => diagnostic.severity === 'error')) {
+    return { canSimulate: false, diagnostics, result: null };
+  }
+
+  let result;
+  try {
+    result = simulateStrategy(debtsInput, { ...options, startDate: start });
+  } catch (error) {
+    if (!(error instanceof DebtError)) {
+      throw error;
+    }
+    const code = error.code === 422
+      ? DIAGNOSTIC_CODES.PAYOFF_EXCEEDS_HORIZON
+      : DIAGNOSTIC_CODES.INVALID_INPUT;
+    diagnostics.push(createDiagnostic(code, 'error', error.message));
+    return { canSimulate: false, diagnostics, result: null };
+  }
+
+  diagnostics.push(...checkBalanceGrowth(debts, result));
+  diagnostics.push(...checkShortfallMonths(result));
+
+  return { canSimulate: true, diagnostics, result };
+}
+
+// 找出第一個輸入驗證錯誤
+function findInputError(diagnostics) {
+  return diagnostics.find((diagnostic) => (
+    diagnostic.severity === 'error' && INPUT_ERROR_CODES.includes(diagnostic.code)
+  )) || null;
+}
+
+export {
+  DIAGNOSTIC_CODES,
+  INPUT_ERROR_CODES,
+  diagnoseDebts,
+  findInputError,
+};
@@ -0,0 +1,125 @@
+// 總費用年百分率：以內部報酬率（IRR）計算含各項費用的實際借款成本
+import { calculateAnnuityPayment, DebtError } from './debtStrategies.js';
+import { roundMoney, sumMoney, toCents, fromCents } from '../utils/money.js';
+
+// 費用收取方式：撥款時一次扣除、每月收取、每年收取（每年第一期）
+const FEE_FREQUENCIES = ['upfront', 'monthly', 'annual'];
+
+const round2 = (value) => Number(value.toFixed(2));
+
+// 驗證並整理費用清單；金額或本金百分比擇一
+function normalizeFees(fees, principal) {
+  if (fees === undefined || fees === null) {
+    return [];
+  }
+  if (!Array.isArray(fees)) {
+    throw new DebtError('費用清單必須是陣列');
+  }
+  return fees.map((fee, index) => {
+    const label = fee?.name || `費用 ${index + 1}`;
+    const frequency = fee?.frequency || 'upfront';
+    if (!FEE_FREQUENCIES.includes(frequency)) {
+      throw new DebtError(`「${label}」的收取方式必須是 ${FEE_FREQUENCIES.join('、')} 其中之一`);
+    }
+    const hasPercent = fee?.percent !== undefined && fee?.percent !== null;
+    const value = Number(hasPercent ? fee.percent : fee?.amount);
+    if (isNaN(value) || value < 0) {
+      throw new DebtError(`「${label}」的金額不可為負數`);
+    }
+    return {
+      name: fee?.name || null,
+      frequency,
+      amount: hasPercent ? roundMoney(principal * (value / 100)) : roundMoney(value),
+    };
+  });
+}
+
+// 驗證並整理貸款條件
+function normalizeLoan(input = {}) {
+  const principal = Number(input.principal);
+  const apr = Number(input.apr);
+  const termMonths = Number(input.termMonths);
+  if (isNaN(principal) || principal <= 0) {
+    throw new DebtError('貸款本金必須是正數');
+  }
+  if (isNaN(apr) || apr < 0) {
+    throw new DebtError('貸款必須有有效的年利率');
+  }
+  if (!Number.isInteger(termMonths) || termMonths < 1) {
+    throw new DebtError('貸款期數必須是正整數');
+  }
+  return { principal: roundMoney(principal), apr, termMonths, fees: normalizeFees(input.fees, principal) };
+}
+
+// 每期現金流出（本息 + 當期費用），以分計算
+function buildOutflows(loan, paymentCents) {
+  const monthlyFees = toCents(sumMoney(loan.fees.filter((fee) => fee.frequency === 'monthly').map((fee) => fee.amount)));
+  const annualFees = toCents(sumMoney(loan.fees.filter((fee) => fee.frequency === 'annual').map((fee) => fee.amount)));
+  return Array.from({ length: loan.termMonths }, (_, index) => (
+    paymentCents + monthlyFees + (index % 12 === 0 ? annualFees : 0)
+  ));
+}
+
+// 各期現金流出以月利率折現的現值
+function presentValue(outflows, monthlyRate) {
+  return outflows.reduce((sum, outflow, index) => sum + outflow / Math.pow(1 + monthlyRate, index + 1), 0);
+}
+
+// 二分法求解月內部報酬率：使各期現金流出現值等於實拿金額
+function solveMonthlyIrr(netProceeds, outflows) {
+  let low = 0;
+  let high = 0.01;
+  while (presentValue(outflows, high) > netProceeds) {
+    high *= 2;
+    if (high > 100) {
+      throw new DebtError('無法計算總費用年百分率');
+    }
+  }
+  for (let iteration = 0; iteration < 200 && high - low > 1e-12; iteration += 1) {
+    const middle = (low + high) / 2;
+    if (presentValue(outflows, middle) > netProceeds) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// 計算總費用年百分率（月 IRR × 12）與年實質利率
+function calculateEffectiveApr(input) {
+  const loan = normalizeLoan(input);
+  const paymentCents = toCents(calculateAnnuityPayment(loan.principal, loan.apr, loan.termMonths));
+  const upfrontCents = toCents(sumMoney(loan.fees.filter((fee) => fee.frequency === 'upfront').map((fee) => fee.amount)));
+  const netProceeds = toCents(loan.principal) - upfrontCents;
+  if (netProceeds <= 0) {
+    throw new DebtError('一次性費用不可高於貸款本金');
+  }
+
+  const outflows = buildOutflows(loan, paymentCents);
+  const totalPaidCents = outflows.reduce((sum, outflow) => sum + outflow, 0);
+  const monthlyRate = solveMonthlyIrr(netProceeds, outflows);
+  const totalInterestCents = paymentCents * loan.termMonths - toCents(loan.principal);
+  const totalFeesCents = upfrontCents + totalPaidCents - paymentCents * loan.termMonths;
+
+  return {
+    principal: loan.principal,
+    nominalApr: loan.apr,
+    termMonths: loan.termMonths,
+    monthlyPayment: fromCents(paymentCents),
+    fees: loan.fees,
+    upfrontFees: fromCents(upfrontCents),
+    netProceeds: fromCents(netProceeds),
+    totalPaid: fromCents(totalPaidCents),
+    totalInterest: fromCents(totalInterestCents),
+    totalFees: fromCents(totalFeesCents),
+    totalCost: fromCents(totalInterestCents + totalFeesCents),
+    effectiveApr: round2(monthlyRate * 12 * 100),
+    annualEffectiveRate: round2((Math.pow(1 + monthlyRate, 12) - 1) * 100),
+  };
+}
+
+export {
+  FEE_FREQUENCIES,
+  calculateEffectiveApr,
+};
@@ -0,0 +1,217 @@
+// 提前還款與投資的比較：將每月額外資金依比例分配，預測各比例下的淨資產
+import { addMonths, formatISO } from 'date-fns';
+import {
+  simulateStrategy,
+  calculateExtraPaymentEffect,
+  normalizeDebts,
+  getEffectiveApr,
+  DebtError,
+} from './debtStrategies.js';
+import { createRandom, sampleNormal, percentile, MAX_TRIALS } from './riskSimulation.js';
+import { roundMoney, subtractMoney } from '../utils/money.js';
+
+// 預設分配比例：投入還款的比例（0 = 全部投資，1 = 全部提前還款）
+const DEFAULT_SPLIT_RATIOS = [0, 0.25, 0.5, 0.75, 1];
+const DEFAULT_TRIALS = 200;
+const MAX_HORIZON_MONTHS = 600;
+
+// 格式化日期為 ISO 字串
+const formatISODate = (date) => formatISO(date, { representation: 'date' });
+
+const round2 = (value) => Number(value.toFixed(2));
+
+// 名目年利率（按月複利）換算為年實質報酬率
+const toAnnualEffectiveRate = (apr) => (Math.pow(1 + apr / 100 / 12, 12) - 1) * 100;
+
+// 驗證並整理比較參數
+function normalizeComparisonOptions(options) {
+  const extraAmount = Number(options.extraAmount);
+  const expectedReturn = Number(options.expectedReturn);
+  const volatility = Number(options.volatility ?? 0);
+  const trials = Number(options.trials ?? DEFAULT_TRIALS);
+  const seed = Number(options.seed ?? 1);
+  const ratios = options.splitRatios ?? DEFAULT_SPLIT_RATIOS;
+
+  if (isNaN(extraAmount) || extraAmount <= 0) {
+    throw new DebtError('每月額外資金必須是正數');
+  }
+  if (isNaN(expectedReturn) || expectedReturn <= -100) {
+    throw new DebtError('預期投資報酬率無效');
+  }
+  if (isNaN(volatility) || volatility < 0) {
+    throw new DebtError('投資波動度不可為負數');
+  }
+  if (!Number.isInteger(trials) || trials < 1 || trials > MAX_TRIALS) {
+    throw new DebtError(`模擬次數必須介於 1 與 ${MAX_TRIALS} 之間`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new DebtError('亂數種子必須是整數');
+  }
+  if (!Array.isArray(ratios) || ratios.length === 0) {
+    throw new DebtError('分配比例必須是非空陣列');
+  }
+  const splitRatios = [...new Set(ratios.map(Number))].sort((a, b) => a - b);
+  if (splitRatios.some((ratio) => isNaN(ratio) || ratio < 0 || ratio > 1)) {
+    throw new DebtError('分配比例必須介於 0 與 1 之間');
+  }
+
+  return { extraAmount, expectedReturn, volatility, trials, seed, splitRatios };
+}
+
+// 依月份彙整模擬結果：每月實際還款總額與月底債務餘額
+function summarizeByMonth(result) {
+  const months = new Map();
+  result.schedule.forEach((entry) => {
+    const month = months.get(entry.monthIndex) || { paid: 0, balance: 0 };
+    month.paid += entry.totalPaid;
+    month.balance = entry.remainingBalance;
+    months.set(entry.monthIndex, month);
+  });
+  return months;
+}
+
+// 每月投資金額：可支配資金扣除實際還款後的餘額（債務還清後全數投入投資）
+function buildContributions(result, monthlyCash, horizon) {
+  const months = summarizeByMonth(result);
+  return Array.from({ length: horizon }, (_, index) => {
+    const month = months.get(index + 1);
+    return {
+      contribution: roundMoney(monthlyCash - (month ? month.paid : 0)),
+      debtBalance: month ? month.balance : 0,
+    };
+  });
+}
+
+// 依每月報酬倍數累積投資價值（月底投入）
+function accumulate(contributions, growthFactors) {
+  let value = 0;
+  return contributions.map(({ contribution }, index) => {
+    value = value * growthFactors[index] + contribution;
+    return value;
+  });
+}
+
+// 產生隨機報酬路徑（對數常態，期望值與確定性路徑一致）；各比例共用同一組路徑
+function buildReturnPaths(expectedReturn, volatility, horizon, trials, seed) {
+  const monthlyDrift = Math.log(1 + expectedReturn / 100) / 12;
+  const monthlyVolatility = volatility / 100 / Math.sqrt(12);
+  const random = createRandom(seed);
+  return Array.from({ length: trials }, () => Array.from({ length: horizon }, () => (
+    Math.exp(monthlyDrift - (monthlyVolatility ** 2) / 2 + monthlyVolatility * sampleNormal(random))
+  )));
+}
+
+// 各筆債務的損益兩平報酬率：投資年報酬高於此值才值得以投資取代提前還款
+// 利率取觀察期間內各月適用利率的平均，與模擬一致地反映優惠利率與分段利率
+function calculateBreakEvenReturns(debts, startDate, expectedReturn, horizon) {
+  return normalizeDebts(debts, { startDate }).map((debt) => {
+    const averageApr = Array.from({ length: horizon }, (_, index) => (
+      getEffectiveApr(debt, addMonths(startDate, index))
+    )).reduce((sum, apr) => sum + apr, 0) / horizon;
+    const costApr = averageApr + (debt.feeAprSpread || 0);
+    const breakEvenReturn = round2(toAnnualEffectiveRate(costApr));
+    return {
+      debtId: debt.id,
+      debtName: debt.name,
+      apr: round2(averageApr),
+      costApr: round2(costApr),
+      breakEvenReturn,
+      favours: expectedReturn > breakEvenReturn ? 'invest' : 'prepay',
+    };
+  });
+}
+
+// 比較不同分配比例下的淨資產（投資價值扣除債務餘額）
+function compareInvestVsPrepay(debts, options = {}) {
+  const { monthlyBudget, strategy = 'avalanche', startDate = new Date(), horizonMonths, ...simulationOptions } = options;
+  const { extraAmount, expectedReturn, volatility, trials, seed, splitRatios } = normalizeComparisonOptions(options);
+  const start = new Date(startDate);
+  const budget = Number(monthlyBudget);
+  // 各比例共用同一個基準模擬，只為每個比例另跑一次加碼模擬
+  const baseResult = simulateStrategy(debts, { ...simulationOptions, strategy, monthlyBudget: budget, startDate: start });
+
+  const effects = splitRatios.map((ratio) => {
+    const monthlyPrepayment = roundMoney(extraAmount * ratio);
+    return {
+      ratio,
+      monthlyPrepayment,
+      monthlyInvestment: subtractMoney(extraAmount, monthlyPrepayment),
+      effect: calculateExtraPaymentEffect(debts, budget, monthlyPrepayment, strategy, {
+        ...simulationOptions,
+        startDate: start,
+        baseResult,
+      }),
+    };
+  });
+
+  // 預設觀察期間：最慢還清的比例所需月數
+  const horizon = horizonMonths === undefined || horizonMonths === null
+    ? Math.max(...effects.map(({ effect }) => effect.extraPaymentScenario.months))
+    : Number(horizonMonths);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS) {
+    throw new DebtError(`觀察期間必須介於 1 與 ${MAX_HORIZON_MONTHS} 個月之間`);
+  }
+
+  const expectedGrowth = Array(horizon).fill(Math.pow(1 + expectedReturn / 100, 1 / 12));
+  const returnPaths = volatility > 0 ? buildReturnPaths(expectedReturn, volatility, horizon, trials, seed) : [];
+
+  const scenarios = effects.map(({ ratio, monthlyPrepayment, monthlyInvestment, effect }) => {
+    const result = effect.extraPaymentScenario;
+    const contributions = buildContributions(result, budget + extraAmount, horizon);
+    const values = accumulate(contributions, expectedGrowth);
+    const timeline = contributions.map(({ contribution, debtBalance }, index) => ({
+      month: formatISODate(addMonths(start, index)).slice(0, 7),
+      invested: contribution,
+      investmentValue: roundMoney(values[index]),
+      debtBalance,
+      netWorth: roundMoney(values[index] - debtBalance),
+    }));
+    const finalDebt = contributions[horizon - 1].debtBalance;
+    const outcomes = returnPaths
+      .map((path) => accumulate(contributions, path)[horizon - 1] - finalDebt)
+      .sort((a, b) => a - b);
+    const finalNetWorth = timeline[horizon - 1].netWorth;
+    const netWorthPercentile = (p) => (outcomes.length > 0 ? roundMoney(percentile(outcomes, p)) : finalNetWorth);
+
+    return {
+      prepayRatio: ratio,
+      monthlyPrepayment,
+      monthlyInvestment,
+      months: result.months,
+      payoffDate: result.payoffDate,
+      totalInterest: result.totalInterest,
+      interestSavings: effect.benefits.interestSavings,
+      timeSavings: effect.benefits.timeSavings,
+      finalNetWorth,
+      netWorth: {
+        p10: netWorthPercentile(0.1),
+        p50: netWorthPercentile(0.5),
+        p90: netWorthPercentile(0.9),
+      },
+      timeline,
+    };
+  });
+
+  const recommended = scenarios.reduce((best, scenario) => (
+    scenario.finalNetWorth > best.finalNetWorth ? scenario : best
+  ));
+
+  return {
+    strategy,
+    monthlyBudget: budget,
+    extraAmount,
+    expectedReturn,
+    volatility,
+    horizonMonths: horizon,
+    trials: volatility > 0 ? trials : 0,
+    seed,
+    recommendedPrepayRatio: recommended.prepayRatio,
+    breakEvenReturns: calculateBreakEvenReturns(debts, start, expectedReturn, horizon),
+    scenarios,
+  };
+}
+
+export {
+  DEFAULT_SPLIT_RATIOS,
+  compareInvestVsPrepay,
+};
@@ -0,0 +1,149 @@
+// 本月還款指示：以本月預算執行選定策略，扣除本月已記錄的還款後列出各債務尚需繳納的金額
+import { formatISO, getDaysInMonth, setDate, startOfMonth } from 'date-fns';
+import { simulateStrategy, DebtError } from './debtStrategies.js';
+import { getBalanceReduction } from './paymentAllocation.js';
+import { toCents, fromCents, sumCents } from '../utils/money.js';
+
+// 格式化日期為 ISO 字串
+const formatISODate = (date) => formatISO(date, { representation: 'date' });
+
+const toMonthKey = (date) => formatISODate(new Date(date)).slice(0, 7);
+
+// 本月的繳款日（超過月底時取月底）
+function getDueDateInMonth(debt, monthStart) {
+  const dueDate = debt.dueDate ? new Date(debt.dueDate) : null;
+  const day = debt.dueDay ?? (dueDate && !isNaN(dueDate.getTime()) ? dueDate.getDate() : null);
+  if (!day) {
+    return null;
+  }
+  return formatISODate(setDate(monthStart, Math.min(day, getDaysInMonth(monthStart))));
+}
+
+// 模擬首月各債務的計畫還款與最低應繳（分期子餘額併回原債務，順位取子餘額中最優先者）
+function getFirstMonthPlan(result) {
+  const plan = new Map();
+  result.schedule[0].payments.forEach((payment) => {
+    const debtId = payment.parentDebtId || payment.debtId;
+    const entry = plan.get(debtId) || { payment: 0, minimumDue: 0, rank: Infinity };
+    entry.payment += toCents(payment.payment);
+    entry.minimumDue += toCents(payment.minimumDue);
+    entry.rank = Math.min(entry.rank, payment.priority);
+    plan.set(debtId, entry);
+  });
+  [...plan.values()]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach((entry, index) => {
+      entry.priority = index + 1;
+    });
+  return plan;
+}
+
+// 計算本月各債務的還款指示；債務餘額需為記錄本月還款後的目前餘額
+function planMonthlyPayments(debts, options = {}) {
+  const { payments = [], asOf = new Date(), monthlyBudget, ...simulationOptions } = options;
+  const budgetCents = toCents(Number(monthlyBudget));
+  if (isNaN(budgetCents) || budgetCents <= 0) {
+    throw new DebtError('本月預算必須是正數');
+  }
+  const monthStart = startOfMonth(new Date(asOf));
+  const month = toMonthKey(monthStart);
+  const debtIds = new Set(debts.map((debt) => debt.id));
+
+  // 本月已記錄的還款；協商方案成員的還款歸入方案
+  const paidThisMonth = new Map();
+  const reducedThisMonth = new Map();
+  payments
+    .filter((payment) => toMonthKey(payment.paidAt) === month)
+    .forEach((payment) => {
+      const debtId = payment.planId && debtIds.has(payment.planId) ? payment.planId : payment.debtId;
+      if (debtIds.has(debtId)) {
+        paidThisMonth.set(debtId, (paidThisMonth.get(debtId) || 0) + toCents(payment.amount));
+        reducedThisMonth.set(debtId, (reducedThisMonth.get(debtId) || 0) + getBalanceReduction(payment));
+      }
+    });
+  const getPaid = (debtId) => paidThisMonth.get(debtId) || 0;
+
+  // 月初餘額：目前餘額加回本月還款所減少的餘額（協商方案的餘額已依履約狀況計算）
+  const monthDebts = debts
+    .map((debt) => ({
+      ...debt,
+      currentBalance: debt.balance,
+      balance: debt.type === 'negotiated'
+        ? debt.balance
+        : fromCents(toCents(debt.balance) + (reducedThisMonth.get(debt.id) || 0)),
+    }))
+    .filter((debt) => debt.balance > 0);
+  if (monthDebts.length === 0) {
+    throw new DebtError('沒有需要還款的債務');
+  }
+
+  const simulate = (budget) => getFirstMonthPlan(simulateStrategy(monthDebts, {
+    ...simulationOptions,
+    paymentFrequency: 'monthly',
+    monthlyBudget: fromCents(budget),
+    startDate: monthStart,
+  }));
+  const getExcess = (plan) => sumCents(
+    [...plan.entries()].map(([debtId, entry]) => Math.max(0, getPaid(debtId) - entry.payment)),
+  );
+
+  // 多繳的部分已用掉本月預算：從預算扣除後重新分配，直到多繳金額不再變動（預算不低於最低應繳總額）
+  let plan = simulate(budgetCents);
+  const minimumTotal = sumCents([...plan.values()].map((entry) => entry.minimumDue));
+  let excess = getExcess(plan);
+  for (let attempt = 0; attempt < monthDebts.length && excess > 0; attempt += 1) {
+    const nextPlan = simulate(Math.max(minimumTotal, budgetCents - excess));
+    const nextExcess = getExcess(nextPlan);
+    plan = nextPlan;
+    if (nextExcess === excess) {
+      break;
+    }
+    excess = nextExcess;
+  }
+
+  const instructions = monthDebts
+    .map((debt) => {
+      const entry = plan.get(debt.id) || { payment: 0, minimumDue: 0, priority: plan.size + 1 };
+      const paid = getPaid(debt.id);
+      const paidOff = debt.currentBalance <= 0;
+      const amountToPay = paidOff ? 0 : Math.max(0, entry.payment - paid);
+      let status = amountToPay > 0 ? 'pay' : 'covered';
+      if (paidOff) {
+        status = 'paid_off';
+      }
+      return {
+        debtId: debt.id,
+        debtName: debt.name,
+        type: debt.type || null,
+        priority: entry.priority,
+        dueDate: getDueDateInMonth(debt, monthStart),
+        balance: debt.currentBalance,
+        minimumPayment: fromCents(entry.minimumDue),
+        paidThisMonth: fromCents(paid),
+        minimumRemaining: fromCents(Math.max(0, entry.minimumDue - paid)),
+        plannedPayment: fromCents(entry.payment),
+        amountToPay: fromCents(amountToPay),
+        status,
+      };
+    })
+    .sort((a, b) => a.priority - b.priority);
+
+  const paidTotal = sumCents([...paidThisMonth.values()]);
+  const remainingBudget = Math.max(0, budgetCents - paidTotal);
+  const totalToPay = sumCents(instructions.map((item) => toCents(item.amountToPay)));
+  return {
+    month,
+    monthlyBudget: fromCents(budgetCents),
+    paidThisMonth: fromCents(paidTotal),
+    remainingBudget: fromCents(remainingBudget),
+    minimumRemaining: fromCents(sumCents(instructions.map((item) => toCents(item.minimumRemaining)))),
+    totalToPay: fromCents(totalToPay),
+    // 多繳後剩餘預算不足以支付其他債務的最低應繳
+    budgetShortfall: fromCents(Math.max(0, totalToPay - remainingBudget)),
+    instructions,
+  };
+}
+
+export {
+  planMonthlyPayments,
+};
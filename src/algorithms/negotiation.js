@@ -0,0 +1,118 @@
+// 債務協商方案（前置協商、法院調解）：履約檢查與模擬條件替換
+import { addDays, addMonths, formatISO } from 'date-fns';
+import { toCents, fromCents, sumCents, roundMoney } from '../utils/money.js';
+
+// 前置協商、前置調解、法院更生
+const PLAN_KINDS = ['pre_negotiation', 'pre_mediation', 'court_restructuring'];
+
+const PLAN_STATUSES = ['active', 'completed', 'breached', 'cancelled'];
+
+// 預設毀諾條件：逾期一期且超過應繳日 30 天仍未繳足才視為毀諾
+const DEFAULT_BREACH_CONDITIONS = { maxMissedInstallments: 1, graceDays: 30 };
+
+// 格式化日期為 ISO 字串
+const formatISODate = (date) => formatISO(date, { representation: 'date' });
+
+// 第 index 期（從 0 起算）的應繳日
+const getInstallmentDueDate = (plan, index) => addMonths(new Date(plan.firstPaymentDate), index);
+
+// 依已記錄的繳款檢查協商方案的履約狀況；繳款依序抵付最早未繳的一期
+function evaluatePlanCompliance(plan, payments, asOf = new Date()) {
+  const target = new Date(asOf);
+  const { maxMissedInstallments, graceDays } = { ...DEFAULT_BREACH_CONDITIONS, ...plan.breachConditions };
+  const installmentCents = toCents(plan.installmentAmount);
+  const totalInstallments = plan.totalInstallments;
+  const paidCents = sumCents(payments.map((payment) => toCents(payment.amount)));
+  const installmentsPaid = Math.min(totalInstallments, Math.floor(paidCents / installmentCents));
+
+  // 超過應繳日加寬限天數仍未繳足者視為逾期
+  let installmentsDue = 0;
+  while (
+    installmentsDue < totalInstallments
+    && addDays(getInstallmentDueDate(plan, installmentsDue), graceDays) < target
+  ) {
+    installmentsDue += 1;
+  }
+  const missedInstallments = Math.max(0, installmentsDue - installmentsPaid);
+  const arrearsCents = Math.max(0, installmentsDue * installmentCents - paidCents);
+  const creditCents = paidCents - installmentsPaid * installmentCents;
+
+  let standing = 'current';
+  if (installmentsPaid >= totalInstallments) {
+    standing = 'completed';
+  } else if (missedInstallments >= maxMissedInstallments) {
+    standing = 'breached';
+  } else if (missedInstallments > 0) {
+    standing = 'in_arrears';
+  }
+
+  return {
+    standing,
+    installmentAmount: fromCents(installmentCents),
+    totalInstallments,
+    installmentsPaid,
+    installmentsDue,
+    missedInstallments,
+    remainingInstallments: totalInstallments - installmentsPaid,
+    amountPaid: fromCents(paidCents),
+    arrears: fromCents(arrearsCents),
+    nextDueDate: installmentsPaid < totalInstallments
+      ? formatISODate(getInstallmentDueDate(plan, installmentsPaid))
+      : null,
+    nextAmountDue: installmentsPaid < totalInstallments
+      ? fromCents(Math.max(arrearsCents, installmentCents - creditCents))
+      : 0,
+  };
+}
+
+// 依履約狀況推導方案狀態；完成與毀諾只在讀取時判斷、不寫回，更正或作廢還款後即可恢復
+function getPlanStatus(plan, compliance) {
+  if (plan.status !== 'active') {
+    return plan.status;
+  }
+  return ['completed', 'breached'].includes(compliance.standing) ? compliance.standing : 'active';
+}
+
+// 將協商方案轉為單筆分期債務；餘額為剩餘各期以協商利率折現的現值
+function buildPlanDebt(plan, compliance) {
+  const remaining = compliance.remainingInstallments;
+  const monthlyRate = plan.apr / 100 / 12;
+  const presentValue = monthlyRate === 0
+    ? plan.installmentAmount * remaining
+    : (plan.installmentAmount * (1 - Math.pow(1 + monthlyRate, -remaining))) / monthlyRate;
+  // 已繳但未滿一期的金額先抵減餘額
+  const credit = compliance.amountPaid - compliance.installmentsPaid * compliance.installmentAmount;
+  return {
+    id: plan.id,
+    name: plan.name,
+    type: 'negotiated',
+    balance: roundMoney(Math.max(0, presentValue - credit)),
+    apr: plan.apr,
+    minimumPayment: plan.installmentAmount,
+    totalPeriods: plan.totalInstallments,
+    remainingPeriods: remaining,
+    dueDate: compliance.nextDueDate,
+    negotiatedPlanId: plan.id,
+    debtIds: plan.debtIds,
+  };
+}
+
+// 以生效中的協商方案取代其成員債務，供策略模擬使用（plans 需附 compliance）
+function applyNegotiatedPlans(debts, plans) {
+  const activePlans = plans.filter((plan) => plan.status === 'active');
+  const memberIds = new Set(activePlans.flatMap((plan) => plan.debtIds));
+  const planDebts = activePlans
+    .filter((plan) => plan.compliance.remainingInstallments > 0)
+    .map((plan) => buildPlanDebt(plan, plan.compliance));
+  return [...debts.filter((debt) => !memberIds.has(debt.id)), ...planDebts];
+}
+
+export {
+  PLAN_KINDS,
+  PLAN_STATUSES,
+  DEFAULT_BREACH_CONDITIONS,
+  evaluatePlanCompliance,
+  getPlanStatus,
+  buildPlanDebt,
+  applyNegotiatedPlans,
+};
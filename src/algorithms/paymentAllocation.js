@@ -0,0 +1,133 @@
+// 還款分配：依上次還款後的天數計算應計利息與到期費用，還款依序抵付利息、費用，剩餘才減少本金
+import { addDays, addMonths, differenceInCalendarDays } from 'date-fns';
+import { getEffectiveApr } from './debtStrategies.js';
+import { toCents, fromCents, multiplyCents } from '../utils/money.js';
+
+// 計算期間內的應計利息（以分計）：實際天數/365 單利，逐日套用當日適用的年利率
+function calculateAccruedInterest(debt, from, to) {
+  const start = new Date(from);
+  const days = Math.max(0, differenceInCalendarDays(new Date(to), start));
+  const balance = toCents(debt.balance);
+  if (days === 0 || balance <= 0) {
+    return 0;
+  }
+  let aprDays = 0;
+  for (let day = 0; day < days; day += 1) {
+    aprDays += getEffectiveApr(debt, addDays(start, day));
+  }
+  return Math.max(0, multiplyCents(balance, aprDays / 100 / 365));
+}
+
+// 計算期間內到期的週期性費用（以分計）；費用自起始日起每隔固定月數收取
+function calculateAccruedFees(debt, from, to) {
+  const start = new Date(from);
+  const end = new Date(to);
+  return (debt.recurringFees || []).reduce((total, fee) => {
+    const firstCharge = new Date(fee.startDate);
+    const intervalMonths = fee.intervalMonths || 12;
+    let charged = 0;
+    for (let index = 0; ; index += 1) {
+      const chargeDate = addMonths(firstCharge, index * intervalMonths);
+      if (isNaN(chargeDate.getTime()) || chargeDate > end) {
+        break;
+      }
+      if (chargeDate > start) {
+        charged += toCents(fee.amount);
+      }
+    }
+    return total + charged;
+  }, 0);
+}
+
+// 分配一筆還款；since 為上次還款（或建立債務）的日期，未繳足的利息與費用併入餘額
+function allocatePayment(debt, { amount, paidAt, since }) {
+  const amountCents = toCents(amount);
+  const days = since ? Math.max(0, differenceInCalendarDays(new Date(paidAt), new Date(since))) : 0;
+  const accruedInterest = since ? calculateAccruedInterest(debt, since, paidAt) : 0;
+  const accruedFees = since ? calculateAccruedFees(debt, since, paidAt) : 0;
+  const interest = Math.min(amountCents, accruedInterest);
+  const fees = Math.min(amountCents - interest, accruedFees);
+  const principal = amountCents - interest - fees;
+  let balance = toCents(debt.balance) + accruedInterest + accruedFees - amountCents;
+  if (balance <= 1) {
+    balance = 0;
+  }
+  return {
+    days,
+    balanceBefore: fromCents(toCents(debt.balance)),
+    accruedInterest: fromCents(accruedInterest),
+    accruedFees: fromCents(accruedFees),
+    interest: fromCents(interest),
+    fees: fromCents(fees),
+    principal: fromCents(principal),
+    balanceAfter: fromCents(balance),
+  };
+}
+
+// 還款使餘額減少的金額（以分計）：還款前後的餘額差；未記錄分配的舊還款以全額計算
+function getBalanceReduction(payment) {
+  const { allocation } = payment;
+  if (!allocation) {
+    return toCents(payment.amount);
+  }
+  return toCents(allocation.balanceBefore) - toCents(allocation.balanceAfter);
+}
+
+// 作廢的還款保留作為稽核紀錄，但不計入餘額與統計
+const isActivePayment = (payment) => !payment.voidedAt;
+
+// 協商方案期間以方案利率計息，不另收原債務的週期性費用
+function applyPlanTerms(debt, plan) {
+  return plan ? { ...debt, apr: plan.apr, rateSchedule: [], recurringFees: [] } : debt;
+}
+
+// 依完整還款紀錄重新計算債務：自期初餘額起依日期順序重新分配每筆有效還款，手動調整餘額於其生效日套用
+function replayPayments(debt, payments, { openingBalance, since, plans = [], adjustments = [] }) {
+  const planById = new Map(plans.map((plan) => [plan.id, plan]));
+  const entries = [
+    ...payments.filter(isActivePayment).map((payment) => ({ payment, at: payment.paidAt, createdAt: payment.createdAt })),
+    ...adjustments.map((adjustment) => ({ adjustment, at: adjustment.effectiveAt, createdAt: adjustment.effectiveAt })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at) || new Date(a.createdAt) - new Date(b.createdAt));
+  let balance = openingBalance;
+  let lastPaymentAt = null;
+  let totalPaid = 0;
+  let interestPaid = 0;
+  let feesPaid = 0;
+  const allocations = new Map();
+  entries.forEach(({ payment, adjustment }) => {
+    if (adjustment) {
+      balance = fromCents(Math.max(0, toCents(balance) + toCents(adjustment.amount)));
+      return;
+    }
+    const terms = applyPlanTerms({ ...debt, balance }, payment.planId ? planById.get(payment.planId) : null);
+    const allocation = allocatePayment(terms, {
+      amount: payment.amount,
+      paidAt: payment.paidAt,
+      since: lastPaymentAt || since,
+    });
+    allocations.set(payment.id, allocation);
+    balance = allocation.balanceAfter;
+    lastPaymentAt = payment.paidAt;
+    totalPaid += toCents(payment.amount);
+    interestPaid += toCents(allocation.interest);
+    feesPaid += toCents(allocation.fees);
+  });
+  return {
+    balance,
+    totalPaid: fromCents(totalPaid),
+    interestPaid: fromCents(interestPaid),
+    feesPaid: fromCents(feesPaid),
+    lastPaymentAt,
+    allocations,
+  };
+}
+
+export {
+  calculateAccruedInterest,
+  calculateAccruedFees,
+  allocatePayment,
+  getBalanceReduction,
+  isActivePayment,
+  applyPlanTerms,
+  replayPayments,
+};
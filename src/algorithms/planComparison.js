@@ -0,0 +1,90 @@
+// 已儲存計畫的並列比較：還清日期、利息與還清順序的差異
+import { differenceInCalendarMonths } from 'date-fns';
+import { subtractMoney } from '../utils/money.js';
+
+// 未還清的債務排在最後
+const payoffMonth = (value) => value ?? Infinity;
+
+// 依還清月份排列債務（同月依原順序）；分期子餘額併回原債務，以最後還清的部分為準
+function getPayoffOrder(result) {
+  const debts = new Map();
+  result.debtSummaries.forEach((summary, index) => {
+    const debtId = summary.parentDebtId || summary.debtId;
+    const debt = debts.get(debtId) || { debtId, debtName: summary.debtName, monthsToPayoff: null, payoffDate: null, index };
+    if (summary.debtId === debtId) {
+      debt.debtName = summary.debtName;
+    }
+    if (debt.payoffDate === null || payoffMonth(summary.monthsToPayoff) > payoffMonth(debt.monthsToPayoff)) {
+      debt.monthsToPayoff = summary.monthsToPayoff;
+      debt.payoffDate = summary.payoffDate;
+    }
+    debts.set(debtId, debt);
+  });
+  return [...debts.values()]
+    .sort((a, b) => payoffMonth(a.monthsToPayoff) - payoffMonth(b.monthsToPayoff) || a.index - b.index)
+    .map(({ index: _index, ...debt }, position) => ({ ...debt, position: position + 1 }));
+}
+
+// 比較兩個計畫的差異（右方減左方；負值代表右方較早還清或利息較少）
+function compareSavedPlans(left, right) {
+  const leftOrder = getPayoffOrder(left.result);
+  const rightOrder = getPayoffOrder(right.result);
+  const rightById = new Map(rightOrder.map((debt) => [debt.debtId, debt]));
+  const monthsDifference = differenceInCalendarMonths(new Date(right.result.payoffDate), new Date(left.result.payoffDate));
+  const interestDifference = subtractMoney(right.result.totalInterest, left.result.totalInterest);
+  const pickSide = (difference) => {
+    if (difference < 0) {
+      return 'right';
+    }
+    return difference > 0 ? 'left' : null;
+  };
+
+  const orderChanges = leftOrder
+    .filter((debt) => rightById.has(debt.debtId))
+    .map((debt) => {
+      const other = rightById.get(debt.debtId);
+      return {
+        debtId: debt.debtId,
+        debtName: debt.debtName,
+        leftPosition: debt.position,
+        rightPosition: other.position,
+        leftPayoffDate: debt.payoffDate,
+        rightPayoffDate: other.payoffDate,
+        monthsDifference: debt.payoffDate && other.payoffDate
+          ? differenceInCalendarMonths(new Date(other.payoffDate), new Date(debt.payoffDate))
+          : null,
+      };
+    })
+    .filter((change) => change.leftPosition !== change.rightPosition || change.monthsDifference !== 0);
+
+  const summarizePlan = (plan, order) => ({
+    id: plan.id,
+    name: plan.name,
+    strategy: plan.strategyType,
+    monthlyBudget: plan.inputs.monthlyBudget,
+    payoffDate: plan.result.payoffDate,
+    months: plan.result.months,
+    totalInterest: plan.result.totalInterest,
+    totalFees: plan.result.totalFees,
+    payoffOrder: order,
+  });
+
+  return {
+    left: summarizePlan(left, leftOrder),
+    right: summarizePlan(right, rightOrder),
+    differences: {
+      payoffDate: { monthsDifference, earlierPlan: pickSide(monthsDifference) },
+      interest: { interestDifference, cheaperPlan: pickSide(interestDifference) },
+      payoffOrder: {
+        sameOrder: leftOrder.length === rightOrder.length
+          && leftOrder.every((debt, index) => debt.debtId === rightOrder[index].debtId),
+        changes: orderChanges,
+      },
+    },
+  };
+}
+
+export {
+  getPayoffOrder,
+  compareSavedPlans,
+};
@@ -0,0 +1,203 @@
+// 計畫與實際比較：將模擬結果存為基準計畫，逐月比對實際還款與餘額並重新預測還清日期
+import { differenceInCalendarMonths, formatISO } from 'date-fns';
+import { simulateStrategy, DebtError } from './debtStrategies.js';
+import { getBalanceReduction } from './paymentAllocation.js';
+import { toCents, fromCents, sumCents } from '../utils/money.js';
+
+// 餘額差距在此金額內視為符合計畫
+const ON_TRACK_TOLERANCE = 1;
+
+// 重新預測沿用的基準模擬參數
+const REFORECAST_OPTIONS = [
+  'strategy',
+  'hybridWeight',
+  'customOrder',
+  'allocationSettings',
+  'paymentFrequency',
+  'penaltyHandling',
+];
+
+// 格式化日期為 ISO 字串
+const formatISODate = (date) => formatISO(date, { representation: 'date' });
+
+const toMonthKey = (date) => formatISODate(new Date(date)).slice(0, 7);
+
+// 將模擬結果壓縮為逐月基準：每月各債務的還款額與月底餘額（分期子餘額併回原債務）
+function buildBaselineSchedule(result) {
+  const months = [];
+  result.schedule.forEach((entry) => {
+    const month = entry.date.slice(0, 7);
+    let row = months[months.length - 1];
+    if (!row || row.month !== month) {
+      row = { month, paid: new Map(), balances: new Map() };
+      months.push(row);
+    }
+    // 月底餘額以該月最後一期為準；當期未出現的債務表示已還清
+    row.balances = new Map();
+    entry.payments.forEach((payment) => {
+      const debtId = payment.parentDebtId || payment.debtId;
+      row.paid.set(debtId, (row.paid.get(debtId) || 0) + toCents(payment.payment));
+      row.balances.set(debtId, (row.balances.get(debtId) || 0) + toCents(payment.balanceRemaining));
+    });
+  });
+
+  return months.map((row) => {
+    const debtIds = [...new Set([...row.paid.keys(), ...row.balances.keys()])];
+    const debts = debtIds.map((debtId) => ({
+      debtId,
+      payment: fromCents(row.paid.get(debtId) || 0),
+      balanceRemaining: fromCents(row.balances.get(debtId) || 0),
+    }));
+    return {
+      month: row.month,
+      totalPaid: fromCents(sumCents(debts.map((debt) => toCents(debt.payment)))),
+      remainingBalance: fromCents(sumCents(debts.map((debt) => toCents(debt.balanceRemaining)))),
+      debts,
+    };
+  });
+}
+
+// 依餘額差距判斷進度：負值代表餘額低於計畫（超前）
+function getStanding(balanceVariance) {
+  if (balanceVariance < -ON_TRACK_TOLERANCE) {
+    return 'ahead';
+  }
+  if (balanceVariance > ON_TRACK_TOLERANCE) {
+    return 'behind';
+  }
+  return 'on_track';
+}
+
+// 逐月比對實際還款與餘額；實際月底餘額由目前餘額加回該月之後還款所減少的餘額推算
+function comparePlanToActual(baseline, options = {}) {
+  const { debts = [], payments = [], asOf = new Date() } = options;
+  const currentMonth = toMonthKey(asOf);
+  const startDate = new Date(baseline.startDate);
+
+  // 基準債務可能是協商方案，其成員債務的還款與餘額都歸入方案
+  const memberOf = new Map();
+  baseline.debts.forEach((entry) => {
+    (entry.debtIds || [entry.debtId]).forEach((id) => memberOf.set(id, entry.debtId));
+  });
+  const currentBalances = new Map();
+  debts.forEach((debt) => {
+    const key = memberOf.get(debt.id);
+    if (key) {
+      currentBalances.set(key, (currentBalances.get(key) || 0) + toCents(debt.balance));
+    }
+  });
+  const tracked = payments
+    .filter((payment) => memberOf.has(payment.debtId) && new Date(payment.paidAt) >= startDate)
+    .map((payment) => ({
+      debtId: memberOf.get(payment.debtId),
+      month: toMonthKey(payment.paidAt),
+      amount: toCents(payment.amount),
+      reduction: getBalanceReduction(payment),
+    }));
+
+  const sumPayments = (debtId, predicate, field = 'amount') => sumCents(
+    tracked.filter((payment) => payment.debtId === debtId && predicate(payment.month)).map((payment) => payment[field]),
+  );
+
+  const months = baseline.schedule
+    .filter((row) => row.month <= currentMonth)
+    .map((row) => {
+      const planned = new Map(row.debts.map((debt) => [debt.debtId, debt]));
+      const rows = baseline.debts.map((entry) => {
+        const plan = planned.get(entry.debtId);
+        const plannedPayment = plan ? toCents(plan.payment) : 0;
+        const plannedBalance = plan ? toCents(plan.balanceRemaining) : 0;
+        const actualPayment = sumPayments(entry.debtId, (month) => month === row.month);
+        const actualBalance = (currentBalances.get(entry.debtId) || 0)
+          + sumPayments(entry.debtId, (month) => month > row.month, 'reduction');
+        return {
+          debtId: entry.debtId,
+          debtName: entry.debtName,
+          plannedPayment: fromCents(plannedPayment),
+          actualPayment: fromCents(actualPayment),
+          paymentVariance: fromCents(actualPayment - plannedPayment),
+          plannedBalance: fromCents(plannedBalance),
+          actualBalance: fromCents(actualBalance),
+          balanceVariance: fromCents(actualBalance - plannedBalance),
+        };
+      });
+      const total = (field) => fromCents(sumCents(rows.map((item) => toCents(item[field]))));
+      return {
+        month: row.month,
+        plannedPayment: total('plannedPayment'),
+        actualPayment: total('actualPayment'),
+        paymentVariance: total('paymentVariance'),
+        plannedBalance: total('plannedBalance'),
+        actualBalance: total('actualBalance'),
+        balanceVariance: total('balanceVariance'),
+        debts: rows,
+      };
+    });
+
+  const latest = months[months.length - 1];
+  const sumField = (field) => fromCents(sumCents(months.map((month) => toCents(month[field]))));
+  return {
+    asOf: formatISODate(new Date(asOf)),
+    standing: latest ? getStanding(latest.balanceVariance) : 'on_track',
+    totals: {
+      plannedPayment: sumField('plannedPayment'),
+      actualPayment: sumField('actualPayment'),
+      paymentVariance: sumField('paymentVariance'),
+      balanceVariance: latest ? latest.balanceVariance : 0,
+    },
+    months,
+  };
+}
+
+// 依實際還款步調重新預測還清日期：以已結束月份的平均實際還款為月預算，尚無完整月份時沿用計畫預算
+function reforecastPayoff(baseline, debts, comparison, asOf = new Date()) {
+  const start = new Date(asOf);
+  const completed = comparison.months.filter((month) => month.month < toMonthKey(start));
+  const basis = completed.length > 0 ? 'actual' : 'plan';
+  const monthlyBudget = basis === 'actual'
+    ? fromCents(Math.round(sumCents(completed.map((month) => toCents(month.actualPayment))) / completed.length))
+    : baseline.monthlyBudget;
+
+  const forecast = {
+    basis,
+    monthlyBudget,
+    payoffDate: null,
+    months: null,
+    totalInterest: null,
+    monthsVersusPlan: null,
+    reason: null,
+  };
+  if (debts.length === 0) {
+    return { ...forecast, payoffDate: formatISODate(start), months: 0, totalInterest: 0, monthsVersusPlan: 0 };
+  }
+
+  const simulationOptions = {};
+  REFORECAST_OPTIONS.forEach((option) => {
+    if (baseline[option] !== undefined && baseline[option] !== null) {
+      simulationOptions[option] = baseline[option];
+    }
+  });
+  try {
+    const result = simulateStrategy(debts, { ...simulationOptions, monthlyBudget, startDate: start });
+    return {
+      ...forecast,
+      payoffDate: result.payoffDate,
+      months: result.months,
+      totalInterest: result.totalInterest,
+      // 正值代表比計畫晚還清
+      monthsVersusPlan: differenceInCalendarMonths(new Date(result.payoffDate), new Date(baseline.payoffDate)),
+    };
+  } catch (error) {
+    if (!(error instanceof DebtError)) {
+      throw error;
+    }
+    return { ...forecast, reason: error.message };
+  }
+}
+
+export {
+  ON_TRACK_TOLERANCE,
+  buildBaselineSchedule,
+  comparePlanToActual,
+  reforecastPayoff,
+};
@@ -0,0 +1,264 @@
+// 蒙地卡羅風險模擬：浮動利率與收入衝擊
+import { addMonths, formatISO } from 'date-fns';
+import { simulateStrategy, normalizeBudgetTimeline, getBudgetForMonth, DebtError } from './debtStrategies.js';
+
+// 試驗在請求執行緒上同步執行；試驗不產生逐月明細，上限內的請求仍可在數秒內完成
+const DEFAULT_TRIALS = 200;
+const MAX_TRIALS = 1000;
+const HISTOGRAM_BUCKETS = 10;
+
+// 格式化日期為 ISO 字串
+const formatISODate = (date) => formatISO(date, { representation: 'date' });
+
+const round2 = (value) => Number(value.toFixed(2));
+
+// 可重現的亂數產生器（mulberry32）
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 標準常態分布抽樣（Box-Muller）
+function sampleNormal(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// 線性內插百分位數
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const position = (sortedValues.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+}
+
+// 驗證並整理風險參數
+function normalizeRiskOptions(options) {
+  const trials = Number(options.trials ?? DEFAULT_TRIALS);
+  const seed = Number(options.seed ?? 1);
+  const drift = options.rateDrift || {};
+  const shock = options.incomeShock || {};
+
+  const rateDrift = {
+    mean: Number(drift.mean || 0),
+    volatility: Number(drift.volatility || 0),
+    adjustmentMonths: Number(drift.adjustmentMonths || 12),
+    debtIds: Array.isArray(drift.debtIds) ? drift.debtIds.map((id) => String(id)) : null,
+  };
+  const incomeShock = {
+    probability: Number(shock.probability || 0),
+    budgetReductionPercent: Number(shock.budgetReductionPercent ?? 100),
+  };
+
+  if (!Number.isInteger(trials) || trials < 1 || trials > MAX_TRIALS) {
+    throw new DebtError(`模擬次數必須介於 1 與 ${MAX_TRIALS} 之間`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new DebtError('亂數種子必須是整數');
+  }
+  if (isNaN(rateDrift.mean) || isNaN(rateDrift.volatility) || rateDrift.volatility < 0) {
+    throw new DebtError('利率漂移參數無效');
+  }
+  if (!Number.isInteger(rateDrift.adjustmentMonths) || rateDrift.adjustmentMonths < 1) {
+    throw new DebtError('利率調整週期必須是正整數月數');
+  }
+  if (isNaN(incomeShock.probability) || incomeShock.probability < 0 || incomeShock.probability > 1) {
+    throw new DebtError('預算短缺機率必須介於 0 與 1 之間');
+  }
+  if (
+    isNaN(incomeShock.budgetReductionPercent)
+    || incomeShock.budgetReductionPercent < 0
+    || incomeShock.budgetReductionPercent > 100
+  ) {
+    throw new DebtError('預算短缺比例必須介於 0 與 100 之間');
+  }
+
+  return { trials, seed, rateDrift, incomeShock };
+}
+
+// 產生單次試驗的利率路徑（每個調整週期一段）
+function buildRatePath(debt, rateDrift, start, horizon, random) {
+  const periodYears = rateDrift.adjustmentMonths / 12;
+  const schedule = [];
+  let apr = Number(debt.interestRate || debt.apr);
+
+  for (let month = rateDrift.adjustmentMonths; month < horizon; month += rateDrift.adjustmentMonths) {
+    const shock = rateDrift.mean * periodYears + rateDrift.volatility * Math.sqrt(periodYears) * sampleNormal(random);
+    apr = Math.max(0, apr + shock);
+    schedule.push({
+      startDate: formatISODate(addMonths(start, month)),
+      endDate: formatISODate(addMonths(start, month + rateDrift.adjustmentMonths - 1)),
+      apr: round2(apr),
+    });
+  }
+
+  return schedule;
+}
+
+// 產生單次試驗的收入衝擊月份（首月預算視為已知）；衝擊以當月預算時間軸的金額扣減，次月恢復時間軸的金額
+function buildBudgetShocks(monthlyBudget, budgetTimeline, incomeShock, start, horizon, random) {
+  const changes = [];
+  const budgetAt = (month) => (
+    getBudgetForMonth(monthlyBudget, budgetTimeline, formatISODate(addMonths(start, month)).slice(0, 7))
+  );
+
+  for (let month = 1; month < horizon; month += 1) {
+    if (random() < incomeShock.probability) {
+      changes.push({
+        effectiveDate: formatISODate(addMonths(start, month)),
+        monthlyBudget: budgetAt(month) * (1 - incomeShock.budgetReductionPercent / 100),
+      });
+      changes.push({ effectiveDate: formatISODate(addMonths(start, month + 1)), monthlyBudget: budgetAt(month + 1) });
+    }
+  }
+
+  return changes;
+}
+
+// 將利息分布整理為直方圖
+function buildHistogram(values) {
+  if (values.length === 0) {
+    return [];
+  }
+  const min = values[0];
+  const max = values[values.length - 1];
+  const width = (max - min) / HISTOGRAM_BUCKETS || 1;
+  const buckets = Array.from({ length: HISTOGRAM_BUCKETS }, (_, index) => ({
+    from: round2(min + width * index),
+    to: round2(min + width * (index + 1)),
+    count: 0,
+  }));
+  values.forEach((value) => {
+    const index = Math.min(HISTOGRAM_BUCKETS - 1, Math.floor((value - min) / width));
+    buckets[index].count += 1;
+  });
+  return buckets;
+}
+
+// 多次隨機試驗，回傳還清日期與利息的分布
+function simulateRisk(debts, options = {}) {
+  const { startDate = new Date(), targetDate, maxMonths = 600, ...simulationOptions } = options;
+  const { trials, seed, rateDrift, incomeShock } = normalizeRiskOptions(options);
+  const start = new Date(startDate);
+  const random = createRandom(seed);
+
+  const baseline = simulateStrategy(debts, { ...simulationOptions, startDate: start, maxMonths, includeSchedule: false });
+  const horizon = Math.min(maxMonths, baseline.months * 2 + 12);
+  const monthlyBudget = Number(simulationOptions.monthlyBudget);
+  const { changes: budgetTimeline } = normalizeBudgetTimeline(simulationOptions);
+  const driftIds = rateDrift.debtIds ? new Set(rateDrift.debtIds) : null;
+
+  const outcomes = [];
+  let failedTrials = 0;
+
+  for (let trial = 0; trial < trials; trial += 1) {
+    const trialDebts = debts.map((debt) => {
+      if (rateDrift.volatility === 0 && rateDrift.mean === 0) {
+        return debt;
+      }
+      if (driftIds && !driftIds.has(String(debt.id))) {
+        return debt;
+      }
+      return {
+        ...debt,
+        rateSchedule: [
+          ...(debt.rateSchedule || []),
+          ...buildRatePath(debt, rateDrift, start, horizon, random),
+        ],
+      };
+    });
+    const budgetShocks = incomeShock.probability > 0
+      ? buildBudgetShocks(monthlyBudget, budgetTimeline, incomeShock, start, horizon, random)
+      : [];
+
+    try {
+      const result = simulateStrategy(trialDebts, {
+        ...simulationOptions,
+        budgetChanges: [...(simulationOptions.budgetChanges || []), ...budgetShocks],
+        startDate: start,
+        maxMonths,
+        includeSchedule: false,
+      });
+      outcomes.push({ months: result.months, totalInterest: result.totalInterest });
+    } catch (error) {
+      if (!(error instanceof DebtError)) {
+        throw error;
+      }
+      failedTrials += 1;
+    }
+  }
+
+  const months = outcomes.map((outcome) => outcome.months).sort((a, b) => a - b);
+  const interest = outcomes.map((outcome) => outcome.totalInterest).sort((a, b) => a - b);
+  // 未能在模擬期間內還清的試驗視為最晚完成
+  const monthsWithFailures = [...months, ...Array(failedTrials).fill(Infinity)];
+  const toPayoffDate = (value) => (
+    value === null || !isFinite(value) ? null : formatISODate(addMonths(start, Math.ceil(value) - 1))
+  );
+  const monthPercentile = (p) => {
+    const value = percentile(monthsWithFailures, p);
+    return value === null || !isFinite(value) ? null : Math.ceil(value);
+  };
+
+  const summary = {
+    trials,
+    seed,
+    failedTrials,
+    baseline: {
+      months: baseline.months,
+      payoffDate: baseline.payoffDate,
+      totalInterest: baseline.totalInterest,
+    },
+    months: {
+      p10: monthPercentile(0.1),
+      p50: monthPercentile(0.5),
+      p90: monthPercentile(0.9),
+    },
+    payoffDate: {
+      p10: toPayoffDate(monthPercentile(0.1)),
+      p50: toPayoffDate(monthPercentile(0.5)),
+      p90: toPayoffDate(monthPercentile(0.9)),
+    },
+    interest: {
+      mean: interest.length > 0 ? round2(interest.reduce((sum, value) => sum + value, 0) / interest.length) : null,
+      min: interest.length > 0 ? round2(interest[0]) : null,
+      max: interest.length > 0 ? round2(interest[interest.length - 1]) : null,
+      p10: interest.length > 0 ? round2(percentile(interest, 0.1)) : null,
+      p50: interest.length > 0 ? round2(percentile(interest, 0.5)) : null,
+      p90: interest.length > 0 ? round2(percentile(interest, 0.9)) : null,
+      histogram: buildHistogram(interest),
+    },
+  };
+
+  if (targetDate) {
+    const target = new Date(targetDate);
+    if (isNaN(target.getTime())) {
+      throw new DebtError('請提供有效的目標還清日期');
+    }
+    const targetMonth = formatISODate(target).slice(0, 7);
+    const onTime = months.filter((value) => formatISODate(addMonths(start, value - 1)).slice(0, 7) <= targetMonth);
+    summary.targetDate = formatISODate(target);
+    summary.probabilityByTarget = round2(onTime.length / trials);
+  }
+
+  return summary;
+}
+
+export {
+  MAX_TRIALS,
+  createRandom,
+  sampleNormal,
+  percentile,
+  simulateRisk,
+};
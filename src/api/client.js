@@ -88,6 +88,15 @@ function recordPayment(token, debtId, payload, options = {}) {
   return apiRequest(`/debts/${debtId}/payments`, { method: 'POST', body: payload, token, ...options });
 }
 
+function updatePayment(token, debtId, paymentId, payload, options = {}) {
+  return apiRequest(`/debts/${debtId}/payments/${paymentId}`, { method: 'PATCH', body: payload, token, ...options });
+}
+
+function voidPayment(token, debtId, paymentId, reason, options = {}) {
+  const path = `/debts/${debtId}/payments/${paymentId}?reason=${encodeURIComponent(reason)}`;
+  return apiRequest(path, { method: 'DELETE', token, ...options });
+}
+
 export {
   ApiError,
   apiRequest,
@@ -102,4 +111,6 @@ export {
   deleteDebt,
   fetchPayments,
   recordPayment,
+  updatePayment,
+  voidPayment,
 };
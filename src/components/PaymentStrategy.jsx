@@ -239,16 +239,39 @@ const PaymentStrategy = ({
                 <CheckCircle className="text-purple-600 mr-2" size={20} />
                 <h4 className="font-bold text-purple-800">AI 推薦策略</h4>
               </div>
-              <p className="text-purple-700 text-sm">
-                <strong>{strategiesComparison.comparison.recommendedStrategy === 'avalanche' ? '雪崩法' : '雪球法'}</strong>
-                {' - '}
-                {strategiesComparison.comparison.reasoning}
-              </p>
+              {strategiesComparison.comparison.explanation ? (
+                <>
+                  <p className="text-purple-700 text-sm">
+                    <strong>{strategiesComparison.comparison.explanation.label}</strong>
+                    {' - '}
+                    {strategiesComparison.comparison.explanation.summary}
+                  </p>
+                  <ul className="mt-2 space-y-1 text-sm">
+                    {strategiesComparison.comparison.explanation.reasons.map((reason) => (
+                      <li key={reason.objective} className="text-purple-700">✓ {reason.message}</li>
+                    ))}
+                    {strategiesComparison.comparison.explanation.tradeoffs.map((tradeoff) => (
+                      <li key={tradeoff.objective} className="text-gray-500">△ {tradeoff.message}</li>
+                    ))}
+                  </ul>
+                </>
+              ) : (
+                <p className="text-purple-700 text-sm">
+                  <strong>{strategiesComparison.comparison.recommendedStrategy === 'avalanche' ? '雪崩法' : '雪球法'}</strong>
+                  {' - '}
+                  {strategiesComparison.comparison.reasoning}
+                </p>
+              )}
               {strategiesComparison.comparison.interestSavings > 0 && (
                 <p className="text-green-600 text-sm mt-1">
                   💰 可節省利息：${strategiesComparison.comparison.interestSavings.toLocaleString()}
                 </p>
               )}
+              {strategiesComparison.comparison.baselineInterestSavings > 0 && (
+                <p className="text-green-600 text-sm mt-1">
+                  📉 相較只繳最低應繳可省：${strategiesComparison.comparison.baselineInterestSavings.toLocaleString()}
+                </p>
+              )}
             </div>
           )}
         </div>
@@ -31,10 +31,25 @@ function registerDebtRoutes(router, context) {
     return { status: 201, body: result };
   });
 
+  router.post('/debts/:id/effective-apr', async ({ user, params, body }) => {
+    const result = await services.debt.applyEffectiveApr(user.id, params.id, body || {});
+    return { status: 200, body: result };
+  });
+
   router.get('/debts/:id/payments', async ({ user, params }) => {
     const payments = await services.debt.listPayments(user.id, params.id);
     return { status: 200, body: { payments } };
   });
+
+  router.patch('/debts/:id/payments/:paymentId', async ({ user, params, body }) => {
+    const result = await services.debt.updatePayment(user.id, params.id, params.paymentId, body || {});
+    return { status: 200, body: result };
+  });
+
+  router.delete('/debts/:id/payments/:paymentId', async ({ user, params, query }) => {
+    const result = await services.debt.voidPayment(user.id, params.id, params.paymentId, query || {});
+    return { status: 200, body: result };
+  });
 }
 
 export default registerDebtRoutes;
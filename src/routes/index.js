@@ -4,6 +4,8 @@ import registerDebtRoutes from './debtRoutes.js';
 import registerStrategyRoutes from './strategyRoutes.js';
 import registerAnalyticsRoutes from './analyticsRoutes.js';
 import registerReminderRoutes from './reminderRoutes.js';
+import registerNegotiationRoutes from './negotiationRoutes.js';
+import registerSimulationRoutes from './simulationRoutes.js';
 
 function registerRoutes(router, context) {
   registerAuthRoutes(router, context);
@@ -12,6 +14,8 @@ function registerRoutes(router, context) {
   registerStrategyRoutes(router, context);
   registerAnalyticsRoutes(router, context);
   registerReminderRoutes(router, context);
+  registerNegotiationRoutes(router, context);
+  registerSimulationRoutes(router, context);
 }
 
 export default registerRoutes;
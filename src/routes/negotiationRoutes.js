@@ -0,0 +1,30 @@
+function registerNegotiationRoutes(router, context) {
+  const { services } = context;
+
+  router.get('/negotiated-plans', async ({ user }) => {
+    const plans = await services.negotiation.listPlans(user.id);
+    return { status: 200, body: { plans } };
+  });
+
+  router.post('/negotiated-plans', async ({ user, body }) => {
+    const plan = await services.negotiation.createPlan(user.id, body || {});
+    return { status: 201, body: { plan } };
+  });
+
+  router.get('/negotiated-plans/:id', async ({ user, params }) => {
+    const plan = await services.negotiation.getPlan(user.id, params.id);
+    return { status: 200, body: { plan } };
+  });
+
+  router.patch('/negotiated-plans/:id', async ({ user, params, body }) => {
+    const plan = await services.negotiation.updatePlan(user.id, params.id, body || {});
+    return { status: 200, body: { plan } };
+  });
+
+  router.delete('/negotiated-plans/:id', async ({ user, params }) => {
+    const result = await services.negotiation.deletePlan(user.id, params.id);
+    return { status: 200, body: result };
+  });
+}
+
+export default registerNegotiationRoutes;
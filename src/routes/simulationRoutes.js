@@ -0,0 +1,35 @@
+function registerSimulationRoutes(router, context) {
+  const { services } = context;
+
+  router.get('/simulations', async ({ user }) => {
+    const simulations = await services.simulation.listSimulations(user.id);
+    return { status: 200, body: { simulations } };
+  });
+
+  router.post('/simulations', async ({ user, body }) => {
+    const simulation = await services.simulation.saveSimulation(user.id, body || {});
+    return { status: 201, body: { simulation } };
+  });
+
+  router.get('/simulations/compare', async ({ user, query }) => {
+    const result = await services.simulation.compareSimulations(user.id, query || {});
+    return { status: 200, body: result };
+  });
+
+  router.get('/simulations/:id', async ({ user, params }) => {
+    const simulation = await services.simulation.getSimulation(user.id, params.id);
+    return { status: 200, body: { simulation } };
+  });
+
+  router.patch('/simulations/:id', async ({ user, params, body }) => {
+    const simulation = await services.simulation.renameSimulation(user.id, params.id, body || {});
+    return { status: 200, body: { simulation } };
+  });
+
+  router.delete('/simulations/:id', async ({ user, params }) => {
+    const result = await services.simulation.deleteSimulation(user.id, params.id);
+    return { status: 200, body: result };
+  });
+}
+
+export default registerSimulationRoutes;
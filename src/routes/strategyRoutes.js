@@ -10,6 +10,66 @@ function registerStrategyRoutes(router, context) {
     const result = await services.strategy.compare(user.id, body || {});
     return { status: 200, body: result };
   });
+
+  router.post('/strategies/required-budget', async ({ user, body }) => {
+    const result = await services.strategy.solveBudget(user.id, body || {});
+    return { status: 200, body: result };
+  });
+
+  router.post('/strategies/consolidation', async ({ user, body }) => {
+    const result = await services.strategy.consolidate(user.id, body || {});
+    return { status: 200, body: result };
+  });
+
+  router.get('/strategies/allocation-settings', async ({ user }) => {
+    const result = await services.strategy.getAllocationSettings(user.id);
+    return { status: 200, body: result };
+  });
+
+  router.patch('/strategies/allocation-settings', async ({ user, body }) => {
+    const result = await services.strategy.updateAllocationSettings(user.id, body || {});
+    return { status: 200, body: result };
+  });
+
+  router.post('/strategies/effective-apr', async ({ body }) => {
+    const result = await services.strategy.calculateEffectiveApr(body || {});
+    return { status: 200, body: result };
+  });
+
+  router.post('/strategies/risk', async ({ user, body }) => {
+    const result = await services.strategy.simulateRisk(user.id, body || {});
+    return { status: 200, body: result };
+  });
+
+  router.post('/strategies/this-month', async ({ user, body }) => {
+    const result = await services.strategy.planThisMonth(user.id, body || {});
+    return { status: 200, body: result };
+  });
+
+  router.post('/strategies/baseline', async ({ user, body }) => {
+    const result = await services.strategy.pinBaseline(user.id, body || {});
+    return { status: 201, body: result };
+  });
+
+  router.get('/strategies/baseline', async ({ user }) => {
+    const result = await services.strategy.getBaseline(user.id);
+    return { status: 200, body: result };
+  });
+
+  router.delete('/strategies/baseline', async ({ user }) => {
+    const result = await services.strategy.unpinBaseline(user.id);
+    return { status: 200, body: result };
+  });
+
+  router.get('/strategies/baseline/variance', async ({ user, query }) => {
+    const result = await services.strategy.compareToBaseline(user.id, query || {});
+    return { status: 200, body: result };
+  });
+
+  router.post('/strategies/invest-vs-prepay', async ({ user, body }) => {
+    const result = await services.strategy.compareInvesting(user.id, body || {});
+    return { status: 200, body: result };
+  });
 }
 
 export default registerStrategyRoutes;
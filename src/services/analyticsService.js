@@ -1,13 +1,17 @@
 import { clampToZero, formatYearMonth } from '../utils/date.js';
+import { roundMoney, sumMoney, subtractMoney, toCents, fromCents } from '../utils/money.js';
+import { isActivePayment } from '../algorithms/paymentAllocation.js';
 
 function createAnalyticsService(context) {
   const { db } = context;
 
   async function getSummary(userId) {
     const debts = await db.listDebtsByUser(userId);
-    const totalPrincipal = debts.reduce((sum, debt) => sum + (debt.principal || 0), 0);
-    const totalBalance = debts.reduce((sum, debt) => sum + (debt.balance || 0), 0);
-    const totalPaid = debts.reduce((sum, debt) => sum + (debt.totalPaid || 0), 0);
+    const totalPrincipal = sumMoney(debts.map((debt) => debt.principal || 0));
+    const totalBalance = sumMoney(debts.map((debt) => debt.balance || 0));
+    const totalPaid = sumMoney(debts.map((debt) => debt.totalPaid || 0));
+    const interestPaid = sumMoney(debts.map((debt) => debt.interestPaid || 0));
+    const feesPaid = sumMoney(debts.map((debt) => debt.feesPaid || 0));
     const progress = totalPrincipal > 0 ? clampToZero(((totalPrincipal - totalBalance) / totalPrincipal) * 100) : 0;
     const nextDueDebt = debts
       .filter((debt) => debt.balance > 0)
@@ -16,9 +20,12 @@ function createAnalyticsService(context) {
 
     return {
       totals: {
-        principal: clampToZero(totalPrincipal),
-        balance: clampToZero(totalBalance),
-        paid: clampToZero(totalPaid),
+        principal: totalPrincipal,
+        balance: totalBalance,
+        paid: totalPaid,
+        interestPaid,
+        feesPaid,
+        principalPaid: subtractMoney(totalPaid, interestPaid, feesPaid),
         averageApr,
       },
       progress,
@@ -27,7 +34,7 @@ function createAnalyticsService(context) {
             id: nextDueDebt.id,
             name: nextDueDebt.name,
             dueDate: nextDueDebt.dueDate,
-            balance: clampToZero(nextDueDebt.balance),
+            balance: roundMoney(nextDueDebt.balance),
           }
         : null,
       debtsCount: debts.length,
@@ -41,38 +48,48 @@ function createAnalyticsService(context) {
       if (!acc[key]) {
         acc[key] = { type: key, principal: 0, balance: 0 };
       }
-      acc[key].principal += debt.principal || 0;
-      acc[key].balance += debt.balance || 0;
+      acc[key].principal += toCents(debt.principal || 0);
+      acc[key].balance += toCents(debt.balance || 0);
       return acc;
     }, {});
     return Object.values(grouped).map((item) => ({
       type: item.type,
-      principal: clampToZero(item.principal),
-      balance: clampToZero(item.balance),
+      principal: fromCents(item.principal),
+      balance: fromCents(item.balance),
     }));
   }
 
   async function getTrends(userId) {
     const payments = await db.listPaymentsByUser(userId);
-    const grouped = payments.reduce((acc, payment) => {
+    const grouped = payments.filter(isActivePayment).reduce((acc, payment) => {
       const key = formatYearMonth(payment.paidAt);
       if (!acc[key]) {
-        acc[key] = { month: key, paid: 0, payments: 0 };
+        acc[key] = { month: key, paid: 0, interest: 0, fees: 0, principal: 0, payments: 0 };
       }
-      acc[key].paid += payment.amount;
+      const allocation = payment.allocation || { interest: 0, fees: 0, principal: payment.amount };
+      acc[key].paid += toCents(payment.amount);
+      acc[key].interest += toCents(allocation.interest);
+      acc[key].fees += toCents(allocation.fees);
+      acc[key].principal += toCents(allocation.principal);
       acc[key].payments += 1;
       return acc;
     }, {});
     const series = Object.values(grouped)
       .map((item) => ({
         month: item.month,
-        paid: clampToZero(item.paid),
+        paid: fromCents(item.paid),
+        interest: fromCents(item.interest),
+        fees: fromCents(item.fees),
+        principal: fromCents(item.principal),
         payments: item.payments,
       }))
       .sort((a, b) => (a.month > b.month ? 1 : -1));
     return {
       months: series.map((item) => item.month),
       paid: series.map((item) => item.paid),
+      interest: series.map((item) => item.interest),
+      fees: series.map((item) => item.fees),
+      principal: series.map((item) => item.principal),
       payments: series.map((item) => item.payments),
     };
   }
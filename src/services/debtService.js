@@ -1,9 +1,29 @@
 import crypto from 'node:crypto';
 import AppError from '../errors/AppError.js';
-import { getString, getNumber, getDate } from '../utils/validators.js';
-import { clampToZero } from '../utils/date.js';
+import { getString, getNumber, getDate, getEnum } from '../utils/validators.js';
+import { clampToZero, addMonths } from '../utils/date.js';
+import { roundMoney, addMoney, subtractMoney, toCents, fromCents, sumCents } from '../utils/money.js';
+import {
+  getEffectiveApr,
+  calculateAnnuityPayment,
+  getRemainingPeriods,
+  MINIMUM_PAYMENT_RULES,
+  evaluateMinimumPayment,
+  INTEREST_METHODS,
+  getInterestOnlyStatus,
+  INSTALLMENT_FEE_FREQUENCIES,
+  splitCardBalance,
+} from '../algorithms/debtStrategies.js';
+import {
+  allocatePayment,
+  applyPlanTerms,
+  getBalanceReduction,
+  isActivePayment,
+  replayPayments,
+} from '../algorithms/paymentAllocation.js';
 
 const SUPPORTED_TYPES = ['credit_card', 'loan', 'mortgage', 'auto', 'student', 'other'];
+const INSTALLMENT_TYPES = ['loan', 'mortgage', 'auto', 'student'];
 
 function normalizeType(value) {
   const normalized = value.toLowerCase().replace(/\s+/g, '_');
@@ -13,11 +33,233 @@ function normalizeType(value) {
   return 'other';
 }
 
+function parseRateSchedule(payload) {
+  const raw = payload.rateSchedule;
+  if (raw === undefined || raw === null) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    throw new AppError(400, 'rateSchedule must be an array.');
+  }
+  const schedule = raw.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new AppError(400, `rateSchedule[${index}] must be an object.`);
+    }
+    const startDate = getDate(entry, 'startDate');
+    const endDate = getDate(entry, 'endDate', { required: false });
+    const apr = getNumber(entry, 'apr', { min: 0 });
+    if (endDate && endDate < startDate) {
+      throw new AppError(400, `rateSchedule[${index}].endDate must not be before startDate.`);
+    }
+    return {
+      startDate: startDate.toISOString(),
+      endDate: endDate ? endDate.toISOString() : null,
+      apr,
+    };
+  });
+  schedule.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  schedule.forEach((entry, index) => {
+    const next = schedule[index + 1];
+    if (next && (!entry.endDate || new Date(next.startDate) <= new Date(entry.endDate))) {
+      throw new AppError(400, 'rateSchedule periods must not overlap.');
+    }
+  });
+  return schedule;
+}
+
+function parseInstallmentTerms(payload, defaultOriginationDate) {
+  const totalPeriods = getNumber(payload, 'totalPeriods', { required: false, min: 0 });
+  if (!totalPeriods) {
+    return null;
+  }
+  if (!Number.isInteger(totalPeriods)) {
+    throw new AppError(400, 'totalPeriods must be a whole number of months.');
+  }
+  const originationDate = getDate(payload, 'originationDate', {
+    required: false,
+    defaultValue: new Date(defaultOriginationDate),
+  });
+  return {
+    totalPeriods,
+    originationDate: originationDate.toISOString(),
+  };
+}
+
+function parseMinimumPaymentRule(payload) {
+  const raw = payload.minimumPaymentRule;
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AppError(400, 'minimumPaymentRule must be an object.');
+  }
+  const type = getEnum(raw, 'type', MINIMUM_PAYMENT_RULES);
+  const percent = getNumber(raw, 'percent', { required: type !== 'fixed', min: 0, max: 100, defaultValue: 0 });
+  const floor = getNumber(raw, 'floor', { required: type === 'fixed', min: 0, defaultValue: 0 });
+  if (type === 'fixed' ? floor <= 0 : percent <= 0 && floor <= 0) {
+    throw new AppError(400, 'minimumPaymentRule must produce a positive minimum payment.');
+  }
+  return { type, percent, floor };
+}
+
+function parsePrepaymentPenalty(payload) {
+  const raw = payload.prepaymentPenalty;
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AppError(400, 'prepaymentPenalty must be an object.');
+  }
+  const percent = getNumber(raw, 'percent', { min: 0, max: 100 });
+  const startDate = getDate(raw, 'startDate', { required: false });
+  const endDate = getDate(raw, 'endDate');
+  if (startDate && endDate < startDate) {
+    throw new AppError(400, 'prepaymentPenalty.endDate must not be before startDate.');
+  }
+  return {
+    percent,
+    startDate: startDate ? startDate.toISOString() : null,
+    endDate: endDate.toISOString(),
+  };
+}
+
+function parseRecurringFees(payload) {
+  const raw = payload.recurringFees;
+  if (raw === undefined || raw === null) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    throw new AppError(400, 'recurringFees must be an array.');
+  }
+  return raw.map((fee, index) => {
+    if (!fee || typeof fee !== 'object') {
+      throw new AppError(400, `recurringFees[${index}] must be an object.`);
+    }
+    const intervalMonths = getNumber(fee, 'intervalMonths', { required: false, min: 1, defaultValue: 12 });
+    if (!Number.isInteger(intervalMonths)) {
+      throw new AppError(400, `recurringFees[${index}].intervalMonths must be a whole number of months.`);
+    }
+    return {
+      amount: roundMoney(getNumber(fee, 'amount', { min: 0.01 })),
+      intervalMonths,
+      startDate: getDate(fee, 'startDate').toISOString(),
+      note: getString(fee, 'note', { required: false }),
+    };
+  });
+}
+
+function parseInterestOnlyPhases(payload) {
+  const raw = payload.interestOnlyPhases;
+  if (raw === undefined || raw === null) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    throw new AppError(400, 'interestOnlyPhases must be an array.');
+  }
+  const phases = raw.map((phase, index) => {
+    if (!phase || typeof phase !== 'object') {
+      throw new AppError(400, `interestOnlyPhases[${index}] must be an object.`);
+    }
+    const startDate = getDate(phase, 'startDate');
+    const endDate = getDate(phase, 'endDate');
+    if (endDate < startDate) {
+      throw new AppError(400, `interestOnlyPhases[${index}].endDate must not be before startDate.`);
+    }
+    return {
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+    };
+  });
+  phases.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  phases.forEach((phase, index) => {
+    const next = phases[index + 1];
+    if (next && next.startDate.slice(0, 7) <= phase.endDate.slice(0, 7)) {
+      throw new AppError(400, 'interestOnlyPhases must not overlap.');
+    }
+  });
+  return phases;
+}
+
+function parseInstallmentPlans(payload) {
+  const raw = payload.installmentPlans;
+  if (raw === undefined || raw === null) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    throw new AppError(400, 'installmentPlans must be an array.');
+  }
+  return raw.map((plan, index) => {
+    if (!plan || typeof plan !== 'object') {
+      throw new AppError(400, `installmentPlans[${index}] must be an object.`);
+    }
+    const termMonths = getNumber(plan, 'termMonths', { min: 1 });
+    if (!Number.isInteger(termMonths)) {
+      throw new AppError(400, `installmentPlans[${index}].termMonths must be a whole number of months.`);
+    }
+    return {
+      id: typeof plan.id === 'string' && plan.id ? plan.id : crypto.randomUUID(),
+      name: getString(plan, 'name', { required: false }),
+      principal: roundMoney(getNumber(plan, 'principal', { min: 0.01 })),
+      termMonths,
+      apr: getNumber(plan, 'apr', { required: false, min: 0, defaultValue: 0 }),
+      fee: roundMoney(getNumber(plan, 'fee', { required: false, min: 0, defaultValue: 0 })),
+      feeFrequency: getEnum(plan, 'feeFrequency', INSTALLMENT_FEE_FREQUENCIES, {
+        required: false,
+        defaultValue: 'monthly',
+      }),
+      startDate: getDate(plan, 'startDate').toISOString(),
+    };
+  });
+}
+
+function formatBalanceBreakdown(debt) {
+  if (!Array.isArray(debt.installmentPlans) || debt.installmentPlans.length === 0) {
+    return null;
+  }
+  const { revolvingBalance, installmentBalance, installments } = splitCardBalance(debt, debt.balance, new Date());
+  return {
+    revolving: revolvingBalance,
+    installments: installmentBalance,
+    plans: installments.map((plan) => ({
+      id: plan.id,
+      name: plan.name,
+      principal: plan.principal,
+      termMonths: plan.termMonths,
+      apr: plan.apr,
+      fee: plan.fee,
+      feeFrequency: plan.feeFrequency,
+      remainingPeriods: plan.remainingPeriods,
+      monthlyPayment: plan.monthlyPayment,
+      outstanding: plan.outstanding,
+    })),
+  };
+}
+
+function parseStatementDay(payload) {
+  const statementDay = getNumber(payload, 'statementDay', { required: false, min: 1, max: 31 });
+  if (statementDay !== null && !Number.isInteger(statementDay)) {
+    throw new AppError(400, 'statementDay must be a whole day of the month.');
+  }
+  return statementDay;
+}
+
+function getMinimumPaymentDue(debt) {
+  const interestOnly = getInterestOnlyStatus(debt, new Date());
+  if (interestOnly) {
+    return interestOnly.interestOnlyPayment;
+  }
+  if (!debt.minimumPaymentRule || debt.totalPeriods > 0) {
+    return debt.minimumPayment;
+  }
+  const interest = debt.balance * (getEffectiveApr(debt, new Date()) / 100 / 12);
+  return evaluateMinimumPayment(debt.minimumPaymentRule, { balance: debt.balance + interest, interest });
+}
+
 function createDebtService(context) {
-  const { db, config } = context;
+  const { db, config, services } = context;
 
   function formatDebt(debt) {
-    const totalPaid = clampToZero(debt.totalPaid || 0);
+    const totalPaid = roundMoney(debt.totalPaid || 0);
     const progress = debt.principal > 0 ? clampToZero(((debt.principal - debt.balance) / debt.principal) * 100) : 0;
     let status = 'active';
     if (debt.balance <= 0.01) {
@@ -25,22 +267,48 @@ function createDebtService(context) {
     } else if (new Date(debt.dueDate) < new Date()) {
       status = 'overdue';
     }
+    const isInstallment = INSTALLMENT_TYPES.includes(debt.type) && debt.totalPeriods > 0;
     return {
       id: debt.id,
       userId: debt.userId,
       name: debt.name,
-      principal: clampToZero(debt.principal),
+      principal: roundMoney(debt.principal),
       apr: debt.apr,
-      minimumPayment: clampToZero(debt.minimumPayment),
+      currentApr: getEffectiveApr(debt, new Date()),
+      rateSchedule: debt.rateSchedule || [],
+      minimumPayment: roundMoney(getMinimumPaymentDue(debt)),
+      minimumPaymentRule: debt.minimumPaymentRule || null,
+      interestMethod: debt.interestMethod || 'monthly',
+      statementDay: debt.statementDay || null,
+      prepaymentPenalty: debt.prepaymentPenalty || null,
+      recurringFees: debt.recurringFees || [],
+      effectiveApr: debt.effectiveApr ?? null,
+      effectiveAprFees: debt.effectiveAprFees || [],
+      interestOnlyPhases: debt.interestOnlyPhases || [],
+      interestOnlyStatus: getInterestOnlyStatus(debt, new Date()),
+      installmentPlans: debt.installmentPlans || [],
+      balanceBreakdown: formatBalanceBreakdown(debt),
       dueDate: debt.dueDate,
       type: debt.type,
-      balance: clampToZero(debt.balance),
+      totalPeriods: isInstallment ? debt.totalPeriods : null,
+      originationDate: isInstallment ? debt.originationDate : null,
+      remainingPeriods: isInstallment ? getRemainingPeriods(debt, new Date()) : null,
+      contractualPayoffDate: isInstallment && debt.originationDate
+        ? addMonths(debt.originationDate, debt.totalPeriods).toISOString()
+        : null,
+      balance: roundMoney(debt.balance),
       totalPaid,
+      paidBreakdown: {
+        interest: roundMoney(debt.interestPaid || 0),
+        fees: roundMoney(debt.feesPaid || 0),
+        principal: subtractMoney(totalPaid, debt.interestPaid || 0, debt.feesPaid || 0),
+      },
       progress,
       status,
       createdAt: debt.createdAt,
       updatedAt: debt.updatedAt,
       lastPaymentAt: debt.lastPaymentAt || null,
+      negotiatedPlanId: debt.negotiatedPlanId || null,
     };
   }
 
@@ -62,21 +330,63 @@ function createDebtService(context) {
     const name = getString(payload, 'name', { minLength: 1 });
     const principal = getNumber(payload, 'principal', { min: 0.01 });
     const apr = getNumber(payload, 'apr', { min: 0 });
-    const minimumPayment = getNumber(payload, 'minimumPayment', { min: 0.01 });
     const dueDate = getDate(payload, 'dueDate');
     const type = payload.type ? normalizeType(String(payload.type)) : 'other';
+    const rateSchedule = parseRateSchedule(payload);
+    const interestMethod = getEnum(payload, 'interestMethod', INTEREST_METHODS, {
+      required: false,
+      defaultValue: 'monthly',
+    });
+    const statementDay = parseStatementDay(payload);
+    const prepaymentPenalty = parsePrepaymentPenalty(payload);
+    const recurringFees = parseRecurringFees(payload);
+    const interestOnlyPhases = parseInterestOnlyPhases(payload);
+    const installmentPlans = type === 'credit_card' ? parseInstallmentPlans(payload) : [];
     const now = new Date().toISOString();
+    const installment = INSTALLMENT_TYPES.includes(type) ? parseInstallmentTerms(payload, now) : null;
+    const minimumPaymentRule = installment ? null : parseMinimumPaymentRule(payload);
+    let defaultMinimumPayment = null;
+    if (installment) {
+      const interestOnly = getInterestOnlyStatus(
+        { principal, apr, rateSchedule, balance: principal, ...installment, interestOnlyPhases },
+        new Date(now),
+      );
+      defaultMinimumPayment = interestOnly
+        ? interestOnly.amortizingPayment
+        : calculateAnnuityPayment(principal, apr, installment.totalPeriods);
+    } else if (minimumPaymentRule) {
+      defaultMinimumPayment = getMinimumPaymentDue({ principal, apr, rateSchedule, balance: principal, minimumPaymentRule });
+    }
+    const minimumPayment = getNumber(payload, 'minimumPayment', {
+      required: defaultMinimumPayment === null,
+      min: 0.01,
+      defaultValue: defaultMinimumPayment,
+    });
     const debt = {
       id: crypto.randomUUID(),
       userId: user.id,
       name,
-      principal: clampToZero(principal),
+      principal: roundMoney(principal),
       apr,
-      minimumPayment: clampToZero(minimumPayment),
+      rateSchedule,
+      minimumPayment: roundMoney(minimumPayment),
+      minimumPaymentRule,
+      interestMethod,
+      statementDay,
+      prepaymentPenalty,
+      recurringFees,
+      interestOnlyPhases,
+      installmentPlans,
       dueDate: dueDate.toISOString(),
       type,
-      balance: clampToZero(principal),
+      totalPeriods: installment ? installment.totalPeriods : null,
+      originationDate: installment ? installment.originationDate : null,
+      balance: roundMoney(principal),
+      openingBalance: roundMoney(principal),
+      balanceAdjustments: [],
       totalPaid: 0,
+      interestPaid: 0,
+      feesPaid: 0,
       createdAt: now,
       updatedAt: now,
       lastPaymentAt: null,
@@ -125,13 +435,40 @@ function createDebtService(context) {
     if (payload.apr !== undefined) {
       updates.apr = getNumber(payload, 'apr', { required: false, min: 0, defaultValue: debt.apr });
     }
+    if (payload.rateSchedule !== undefined) {
+      updates.rateSchedule = parseRateSchedule(payload);
+    }
+    if (payload.minimumPaymentRule !== undefined) {
+      updates.minimumPaymentRule = parseMinimumPaymentRule(payload);
+    }
+    if (payload.interestMethod !== undefined) {
+      updates.interestMethod = getEnum(payload, 'interestMethod', INTEREST_METHODS, {
+        required: false,
+        defaultValue: 'monthly',
+      });
+    }
+    if (payload.statementDay !== undefined) {
+      updates.statementDay = parseStatementDay(payload);
+    }
+    if (payload.prepaymentPenalty !== undefined) {
+      updates.prepaymentPenalty = parsePrepaymentPenalty(payload);
+    }
+    if (payload.recurringFees !== undefined) {
+      updates.recurringFees = parseRecurringFees(payload);
+    }
+    if (payload.effectiveApr !== undefined) {
+      updates.effectiveApr = getNumber(payload, 'effectiveApr', { required: false, min: 0 });
+    }
+    if (payload.interestOnlyPhases !== undefined) {
+      updates.interestOnlyPhases = parseInterestOnlyPhases(payload);
+    }
     if (payload.minimumPayment !== undefined) {
-      updates.minimumPayment = clampToZero(
+      updates.minimumPayment = roundMoney(
         getNumber(payload, 'minimumPayment', { required: false, min: 0.01, defaultValue: debt.minimumPayment }),
       );
     }
     if (payload.principal !== undefined) {
-      updatedPrincipal = clampToZero(
+      updatedPrincipal = roundMoney(
         getNumber(payload, 'principal', { required: false, min: 0.01, defaultValue: debt.principal }),
       );
       updates.principal = updatedPrincipal;
@@ -141,7 +478,7 @@ function createDebtService(context) {
       }
     }
     if (payload.balance !== undefined) {
-      updatedBalance = clampToZero(
+      updatedBalance = roundMoney(
         getNumber(payload, 'balance', { required: false, min: 0, defaultValue: debt.balance }),
       );
       if (updatedBalance > updatedPrincipal) {
@@ -158,14 +495,54 @@ function createDebtService(context) {
     if (payload.type !== undefined) {
       updates.type = normalizeType(String(payload.type));
     }
+    const nextType = updates.type || debt.type;
+    if (nextType !== 'credit_card') {
+      if (debt.installmentPlans && debt.installmentPlans.length > 0) {
+        updates.installmentPlans = [];
+      }
+    } else if (payload.installmentPlans !== undefined) {
+      updates.installmentPlans = parseInstallmentPlans(payload);
+    }
+    if (!INSTALLMENT_TYPES.includes(nextType)) {
+      if (debt.totalPeriods) {
+        updates.totalPeriods = null;
+        updates.originationDate = null;
+      }
+    } else if (payload.totalPeriods !== undefined || payload.originationDate !== undefined) {
+      const installment = parseInstallmentTerms(
+        {
+          totalPeriods: debt.totalPeriods,
+          originationDate: debt.originationDate,
+          ...payload,
+        },
+        debt.createdAt,
+      );
+      if (installment) {
+        updates.totalPeriods = installment.totalPeriods;
+        updates.originationDate = installment.originationDate;
+      }
+    }
     updates.updatedAt = new Date().toISOString();
+    if (updates.balance !== undefined && updates.balance !== debt.balance) {
+      updates.balanceAdjustments = [
+        ...(debt.balanceAdjustments || []),
+        {
+          id: crypto.randomUUID(),
+          amount: subtractMoney(updates.balance, debt.balance),
+          effectiveAt: updates.updatedAt,
+        },
+      ];
+    }
     const stored = await db.updateDebt(debtId, updates);
     const updatedDebt = stored || { ...debt, ...updates };
     return formatDebt(updatedDebt);
   }
 
   async function deleteDebt(userId, debtId) {
-    await ensureDebt(userId, debtId);
+    const debt = await ensureDebt(userId, debtId);
+    if (await services.negotiation.getActivePlanForDebt(debt)) {
+      throw new AppError(409, 'Debt belongs to an active negotiated plan.');
+    }
     await db.deleteDebt(debtId);
     await db.deletePaymentsByDebt(debtId);
     return { success: true };
@@ -176,33 +553,155 @@ function createDebtService(context) {
     const amount = getNumber(payload, 'amount', { min: 0.01 });
     const paidAt = payload.paidAt ? getDate(payload, 'paidAt', { required: false, defaultValue: new Date() }) : new Date();
     const note = payload.note ? getString(payload, 'note', { required: false, defaultValue: '' }) : '';
-
-    const payment = {
+    const plan = await services.negotiation.getActivePlanForDebt(debt);
+    const entry = {
       id: crypto.randomUUID(),
       userId,
       debtId,
-      amount: clampToZero(amount),
+      amount: roundMoney(amount),
       paidAt: paidAt.toISOString(),
       createdAt: new Date().toISOString(),
       note,
+      planId: plan ? plan.id : null,
     };
-    await db.createPayment(payment);
-    let newBalance = clampToZero(debt.balance - amount);
-    if (newBalance <= 0.01) {
-      newBalance = 0;
+    if (debt.lastPaymentAt && new Date(debt.lastPaymentAt) > paidAt) {
+      return rebuildFromLedger(userId, debt, entry, {});
     }
+
+    const allocation = allocatePayment(applyPlanTerms(debt, plan), {
+      amount,
+      paidAt,
+      since: debt.lastPaymentAt || debt.createdAt,
+    });
+    const payment = { ...entry, allocation };
+    await db.createPayment(payment);
     const updates = {
-      balance: newBalance,
-      totalPaid: clampToZero((debt.totalPaid || 0) + amount),
+      balance: allocation.balanceAfter,
+      totalPaid: addMoney(debt.totalPaid || 0, amount),
+      interestPaid: addMoney(debt.interestPaid || 0, allocation.interest),
+      feesPaid: addMoney(debt.feesPaid || 0, allocation.fees),
       lastPaymentAt: payment.paidAt,
       updatedAt: new Date().toISOString(),
     };
     const storedDebt = await db.updateDebt(debtId, updates);
     const updatedDebt = storedDebt || { ...debt, ...updates };
-    return {
+    const result = {
       payment,
       debt: formatDebt(updatedDebt),
     };
+    if (plan) {
+      result.negotiatedPlan = await services.negotiation.getPlan(userId, plan.id);
+    }
+    return result;
+  }
+
+  async function ensurePayment(userId, debtId, paymentId) {
+    const payment = await db.getPaymentById(paymentId);
+    if (!payment || payment.userId !== userId || payment.debtId !== debtId) {
+      throw new AppError(404, 'Payment not found.');
+    }
+    if (payment.voidedAt) {
+      throw new AppError(409, 'Payment has been voided.');
+    }
+    return payment;
+  }
+
+  async function rebuildFromLedger(userId, debt, payment, changes) {
+    const payments = await db.listPaymentsByDebt(userId, debt.id);
+    const adjustments = debt.balanceAdjustments || [];
+    const openingBalance = debt.openingBalance ?? fromCents(
+      toCents(debt.balance)
+        + sumCents(payments.filter(isActivePayment).map(getBalanceReduction))
+        - sumCents(adjustments.map((adjustment) => toCents(adjustment.amount))),
+    );
+    const changedPayment = { ...payment, ...changes };
+    const recorded = payments.some((entry) => entry.id === payment.id);
+    const ledger = recorded
+      ? payments.map((entry) => (entry.id === payment.id ? changedPayment : entry))
+      : [...payments, changedPayment];
+    const planIds = [...new Set(ledger.map((entry) => entry.planId).filter(Boolean))];
+    const plans = (await Promise.all(planIds.map((planId) => db.getNegotiatedPlanById(planId)))).filter(Boolean);
+    const replay = replayPayments(debt, ledger, { openingBalance, since: debt.createdAt, plans, adjustments });
+
+    // Sequential writes: the debt is updated only once every payment row has been saved.
+    let storedPayment = changedPayment;
+    for (const entry of ledger) {
+      const allocation = replay.allocations.get(entry.id);
+      const fields = entry.id === payment.id ? { ...changes } : {};
+      if (allocation && JSON.stringify(allocation) !== JSON.stringify(entry.allocation)) {
+        fields.allocation = allocation;
+      }
+      if (!recorded && entry.id === payment.id) {
+        storedPayment = { ...changedPayment, ...fields };
+        await db.createPayment(storedPayment);
+      } else if (Object.keys(fields).length > 0) {
+        const stored = await db.updatePayment(entry.id, fields);
+        if (entry.id === payment.id) {
+          storedPayment = stored || { ...changedPayment, ...fields };
+        }
+      }
+    }
+
+    const updates = {
+      balance: replay.balance,
+      totalPaid: replay.totalPaid,
+      interestPaid: replay.interestPaid,
+      feesPaid: replay.feesPaid,
+      lastPaymentAt: replay.lastPaymentAt,
+      updatedAt: new Date().toISOString(),
+    };
+    const storedDebt = await db.updateDebt(debt.id, updates);
+    const result = {
+      payment: storedPayment,
+      debt: formatDebt(storedDebt || { ...debt, ...updates }),
+    };
+    if (changedPayment.planId && plans.some((plan) => plan.id === changedPayment.planId)) {
+      result.negotiatedPlan = await services.negotiation.getPlan(userId, changedPayment.planId);
+    }
+    return result;
+  }
+
+  async function updatePayment(userId, debtId, paymentId, payload) {
+    const debt = await ensureDebt(userId, debtId);
+    const payment = await ensurePayment(userId, debtId, paymentId);
+    const updates = { updatedAt: new Date().toISOString() };
+    if (payload.amount !== undefined) {
+      updates.amount = roundMoney(getNumber(payload, 'amount', { min: 0.01 }));
+    }
+    if (payload.paidAt !== undefined) {
+      updates.paidAt = getDate(payload, 'paidAt').toISOString();
+    }
+    if (payload.note !== undefined) {
+      updates.note = getString(payload, 'note', { required: false, defaultValue: '' });
+    }
+    return rebuildFromLedger(userId, debt, payment, updates);
+  }
+
+  async function voidPayment(userId, debtId, paymentId, query = {}) {
+    const debt = await ensureDebt(userId, debtId);
+    const payment = await ensurePayment(userId, debtId, paymentId);
+    const voidReason = getString(query, 'reason', { minLength: 1 });
+    return rebuildFromLedger(userId, debt, payment, { voidedAt: new Date().toISOString(), voidReason });
+  }
+
+  async function applyEffectiveApr(userId, debtId, payload) {
+    const debt = await ensureDebt(userId, debtId);
+    const calculation = services.strategy.calculateEffectiveApr({
+      principal: debt.principal,
+      apr: debt.apr,
+      termMonths: debt.totalPeriods,
+      ...payload,
+    });
+    const updates = {
+      effectiveApr: calculation.effectiveApr,
+      effectiveAprFees: calculation.fees,
+      updatedAt: new Date().toISOString(),
+    };
+    const stored = await db.updateDebt(debtId, updates);
+    return {
+      calculation,
+      debt: formatDebt(stored || { ...debt, ...updates }),
+    };
   }
 
   async function listPayments(userId, debtId) {
@@ -217,6 +716,9 @@ function createDebtService(context) {
     updateDebt,
     deleteDebt,
     recordPayment,
+    updatePayment,
+    voidPayment,
+    applyEffectiveApr,
     listPayments,
   };
 }
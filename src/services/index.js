@@ -4,6 +4,8 @@ import createDebtService from './debtService.js';
 import createStrategyService from './strategyService.js';
 import createAnalyticsService from './analyticsService.js';
 import createReminderService from './reminderService.js';
+import createNegotiationService from './negotiationService.js';
+import createSimulationService from './simulationService.js';
 
 function createServices(context) {
   const userService = createUserService(context);
@@ -14,12 +16,16 @@ function createServices(context) {
     strategy: null,
     analytics: null,
     reminder: null,
+    negotiation: null,
+    simulation: null,
   };
   services.auth = createAuthService({ ...context, services });
   services.debt = createDebtService({ ...context, services });
   services.strategy = createStrategyService({ ...context, services });
   services.analytics = createAnalyticsService({ ...context, services });
   services.reminder = createReminderService({ ...context, services });
+  services.negotiation = createNegotiationService({ ...context, services });
+  services.simulation = createSimulationService({ ...context, services });
   return services;
 }
 
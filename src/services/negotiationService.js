@@ -0,0 +1,200 @@
+import crypto from 'node:crypto';
+import AppError from '../errors/AppError.js';
+import { getString, getNumber, getDate, getEnum } from '../utils/validators.js';
+import { roundMoney, sumMoney } from '../utils/money.js';
+import { calculateAnnuityPayment } from '../algorithms/debtStrategies.js';
+import {
+  PLAN_KINDS,
+  DEFAULT_BREACH_CONDITIONS,
+  evaluatePlanCompliance,
+  getPlanStatus,
+  applyNegotiatedPlans,
+} from '../algorithms/negotiation.js';
+import { isActivePayment } from '../algorithms/paymentAllocation.js';
+
+function parseWholeNumber(data, field, options) {
+  const value = getNumber(data, field, options);
+  if (value !== null && !Number.isInteger(value)) {
+    throw new AppError(400, `${field} must be a whole number.`);
+  }
+  return value;
+}
+
+function parseBreachConditions(payload) {
+  const raw = payload.breachConditions;
+  if (raw === undefined || raw === null) {
+    return { ...DEFAULT_BREACH_CONDITIONS };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AppError(400, 'breachConditions must be an object.');
+  }
+  return {
+    maxMissedInstallments: parseWholeNumber(raw, 'maxMissedInstallments', {
+      required: false,
+      min: 1,
+      defaultValue: DEFAULT_BREACH_CONDITIONS.maxMissedInstallments,
+    }),
+    graceDays: parseWholeNumber(raw, 'graceDays', {
+      required: false,
+      min: 0,
+      defaultValue: DEFAULT_BREACH_CONDITIONS.graceDays,
+    }),
+  };
+}
+
+function createNegotiationService(context) {
+  const { db } = context;
+
+  async function ensurePlan(userId, planId) {
+    const plan = await db.getNegotiatedPlanById(planId);
+    if (!plan || plan.userId !== userId) {
+      throw new AppError(404, 'Negotiated plan not found.');
+    }
+    return plan;
+  }
+
+  async function listPlanPayments(userId, planId) {
+    const payments = await db.listPaymentsByUser(userId);
+    return payments.filter((payment) => payment.planId === planId && isActivePayment(payment));
+  }
+
+  async function releaseDebts(plan) {
+    await Promise.all(plan.debtIds.map((debtId) => db.updateDebt(debtId, { negotiatedPlanId: null })));
+  }
+
+  async function refreshPlan(plan) {
+    const payments = await listPlanPayments(plan.userId, plan.id);
+    const compliance = evaluatePlanCompliance(plan, payments);
+    return { ...plan, status: getPlanStatus(plan, compliance), compliance };
+  }
+
+  async function parseMemberDebts(userId, payload) {
+    if (!Array.isArray(payload.debtIds) || payload.debtIds.length === 0) {
+      throw new AppError(400, 'debtIds must be a non-empty array.');
+    }
+    const debtIds = [...new Set(payload.debtIds.map((id) => String(id)))];
+    const debts = await db.listDebtsByUser(userId);
+    const members = debtIds.map((id) => debts.find((debt) => debt.id === id));
+    const missing = debtIds.filter((id, index) => !members[index]);
+    if (missing.length > 0) {
+      throw new AppError(404, 'Some debts in debtIds were not found.', { debtIds: missing });
+    }
+    const enrolled = members.filter((debt) => debt.negotiatedPlanId).map((debt) => debt.id);
+    if (enrolled.length > 0) {
+      throw new AppError(409, 'Some debts already belong to a negotiated plan.', { debtIds: enrolled });
+    }
+    return members;
+  }
+
+  async function createPlan(userId, payload) {
+    const members = await parseMemberDebts(userId, payload);
+    const name = getString(payload, 'name', { minLength: 1 });
+    const kind = getEnum(payload, 'kind', PLAN_KINDS, { required: false, defaultValue: 'pre_negotiation' });
+    const apr = getNumber(payload, 'apr', { min: 0 });
+    const totalInstallments = parseWholeNumber(payload, 'totalInstallments', { min: 1 });
+    const principal = roundMoney(getNumber(payload, 'principal', {
+      required: false,
+      min: 0.01,
+      defaultValue: sumMoney(members.map((debt) => debt.balance)),
+    }));
+    const installmentAmount = roundMoney(getNumber(payload, 'installmentAmount', {
+      required: false,
+      min: 0.01,
+      defaultValue: calculateAnnuityPayment(principal, apr, totalInstallments),
+    }));
+    const firstPaymentDate = getDate(payload, 'firstPaymentDate');
+    const now = new Date().toISOString();
+    const plan = {
+      id: crypto.randomUUID(),
+      userId,
+      name,
+      kind,
+      debtIds: members.map((debt) => debt.id),
+      principal,
+      apr,
+      totalInstallments,
+      installmentAmount,
+      firstPaymentDate: firstPaymentDate.toISOString(),
+      breachConditions: parseBreachConditions(payload),
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+    };
+    const stored = await db.createNegotiatedPlan(plan);
+    await Promise.all(plan.debtIds.map((debtId) => db.updateDebt(debtId, { negotiatedPlanId: plan.id })));
+    return refreshPlan(stored || plan);
+  }
+
+  async function listPlans(userId) {
+    const plans = await db.listNegotiatedPlansByUser(userId);
+    return Promise.all(plans.map((plan) => refreshPlan(plan)));
+  }
+
+  async function getPlan(userId, planId) {
+    const plan = await ensurePlan(userId, planId);
+    return refreshPlan(plan);
+  }
+
+  async function updatePlan(userId, planId, payload) {
+    const plan = await ensurePlan(userId, planId);
+    const updates = {};
+    if (payload.name !== undefined) {
+      updates.name = getString(payload, 'name', { minLength: 1 });
+    }
+    if (payload.breachConditions !== undefined) {
+      updates.breachConditions = parseBreachConditions(payload);
+    }
+    if (payload.status !== undefined) {
+      getEnum(payload, 'status', ['cancelled']);
+      if (plan.status !== 'active') {
+        throw new AppError(409, 'Only active negotiated plans can be cancelled.');
+      }
+      updates.status = 'cancelled';
+    }
+    updates.updatedAt = new Date().toISOString();
+    const stored = await db.updateNegotiatedPlan(planId, updates);
+    const updatedPlan = stored || { ...plan, ...updates };
+    if (updates.status === 'cancelled') {
+      await releaseDebts(updatedPlan);
+    }
+    return refreshPlan(updatedPlan);
+  }
+
+  async function deletePlan(userId, planId) {
+    const plan = await ensurePlan(userId, planId);
+    if (plan.status === 'active') {
+      await releaseDebts(plan);
+    }
+    await db.deleteNegotiatedPlan(planId);
+    return { success: true };
+  }
+
+  async function getActivePlanForDebt(debt) {
+    if (!debt.negotiatedPlanId) {
+      return null;
+    }
+    const plan = await db.getNegotiatedPlanById(debt.negotiatedPlanId);
+    if (!plan || plan.status !== 'active') {
+      return null;
+    }
+    const current = await refreshPlan(plan);
+    return current.status === 'active' ? current : null;
+  }
+
+  async function applyToDebts(userId, debts) {
+    const plans = await listPlans(userId);
+    return applyNegotiatedPlans(debts, plans);
+  }
+
+  return {
+    createPlan,
+    listPlans,
+    getPlan,
+    updatePlan,
+    deletePlan,
+    getActivePlanForDebt,
+    applyToDebts,
+  };
+}
+
+export default createNegotiationService;
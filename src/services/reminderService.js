@@ -1,6 +1,8 @@
 import crypto from 'node:crypto';
 import AppError from '../errors/AppError.js';
 import { getString, getDate } from '../utils/validators.js';
+import { addMonths, formatYearMonth } from '../utils/date.js';
+import { getInterestOnlyStatus } from '../algorithms/debtStrategies.js';
 
 function applyTimeOfDay(date, timeString) {
   if (!timeString || typeof timeString !== 'string') {
@@ -15,6 +17,35 @@ function applyTimeOfDay(date, timeString) {
   return date;
 }
 
+function getScheduledPayment(debt, dueDate) {
+  const current = getInterestOnlyStatus(debt, dueDate);
+  if (current) {
+    const isLastInterestOnly = current.endMonth === formatYearMonth(dueDate);
+    return {
+      amountDue: current.interestOnlyPayment,
+      paymentChange: isLastInterestOnly
+        ? {
+          effectiveDate: current.amortizationStartDate,
+          previousAmount: current.interestOnlyPayment,
+          newAmount: current.amortizingPayment,
+        }
+        : null,
+    };
+  }
+  const previous = getInterestOnlyStatus(debt, addMonths(dueDate, -1));
+  if (previous) {
+    return {
+      amountDue: previous.amortizingPayment,
+      paymentChange: {
+        effectiveDate: previous.amortizationStartDate,
+        previousAmount: previous.interestOnlyPayment,
+        newAmount: previous.amortizingPayment,
+      },
+    };
+  }
+  return { amountDue: debt.minimumPayment, paymentChange: null };
+}
+
 function createReminderService(context) {
   const { db, config } = context;
 
@@ -66,13 +97,17 @@ function createReminderService(context) {
         reminderDate.setDate(reminderDate.getDate() - (preferences.daysBeforeDue || 0));
         const notifyAt = applyTimeOfDay(reminderDate, preferences.timeOfDay);
         if (notifyAt >= now && notifyAt <= future) {
+          const { amountDue, paymentChange } = getScheduledPayment(debt, dueDate);
           reminders.push({
             id: `${debt.id}-due`,
-            title: `Upcoming payment: ${debt.name}`,
+            title: paymentChange
+              ? `Upcoming payment change: ${debt.name}`
+              : `Upcoming payment: ${debt.name}`,
             debtId: debt.id,
             notifyAt: notifyAt.toISOString(),
             dueDate: debt.dueDate,
-            amountDue: debt.minimumPayment,
+            amountDue,
+            paymentChange,
             type: 'system',
           });
         }
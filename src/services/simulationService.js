@@ -0,0 +1,148 @@
+import crypto from 'node:crypto';
+import AppError from '../errors/AppError.js';
+import { getString } from '../utils/validators.js';
+import { clampToZero } from '../utils/date.js';
+import { sumMoney, subtractMoney } from '../utils/money.js';
+import { compareSavedPlans } from '../algorithms/planComparison.js';
+
+const INPUT_FIELDS = [
+  'strategy',
+  'hybridWeight',
+  'customOrder',
+  'monthlyBudget',
+  'startDate',
+  'paymentFrequency',
+  'penaltyHandling',
+  'allocationSettings',
+  'budgetChanges',
+  'lumpSums',
+];
+
+const RESULT_FIELDS = [
+  'totalInterest',
+  'totalFees',
+  'totalPenalties',
+  'months',
+  'periods',
+  'payoffDate',
+  'debtSummaries',
+  'schedule',
+  'diagnostics',
+];
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+}
+
+function snapshotDebt(debt) {
+  return {
+    id: debt.id,
+    name: debt.name,
+    type: debt.type,
+    balance: debt.balance,
+    apr: debt.apr,
+    minimumPayment: debt.minimumPayment,
+    dueDate: debt.dueDate,
+    negotiatedPlanId: debt.negotiatedPlanId || null,
+    debtIds: debt.debtIds || [debt.id],
+  };
+}
+
+function formatSummary(simulation) {
+  return {
+    id: simulation.id,
+    name: simulation.name,
+    strategyType: simulation.strategyType,
+    monthlyBudget: simulation.inputs.monthlyBudget,
+    extraPayment: simulation.extraPayment,
+    totalDebt: simulation.totalDebt,
+    monthsToPayoff: simulation.monthsToPayoff,
+    totalInterest: simulation.totalInterest,
+    payoffDate: simulation.result.payoffDate,
+    createdAt: simulation.createdAt,
+    updatedAt: simulation.updatedAt,
+  };
+}
+
+function createSimulationService(context) {
+  const { db, services } = context;
+
+  async function ensureSimulation(userId, simulationId) {
+    const simulation = await db.getStrategySimulationById(simulationId);
+    if (!simulation || simulation.userId !== userId) {
+      throw new AppError(404, 'Saved simulation not found.');
+    }
+    return simulation;
+  }
+
+  async function saveSimulation(userId, payload) {
+    const name = getString(payload, 'name', { minLength: 1 });
+    const { name: _name, ...inputs } = payload;
+    const result = await services.strategy.simulate(userId, inputs);
+    const debts = (await services.strategy.getActiveDebts(userId)).map(snapshotDebt);
+    const now = new Date().toISOString();
+    const simulation = {
+      id: crypto.randomUUID(),
+      userId,
+      name,
+      strategyType: result.strategy,
+      extraPayment: clampToZero(subtractMoney(result.monthlyBudget, sumMoney(debts.map((debt) => debt.minimumPayment)))),
+      totalDebt: sumMoney(debts.map((debt) => debt.balance)),
+      monthsToPayoff: result.months,
+      totalInterest: result.totalInterest,
+      inputs: pick(result, INPUT_FIELDS),
+      debts,
+      result: pick(result, RESULT_FIELDS),
+      createdAt: now,
+      updatedAt: now,
+    };
+    const stored = await db.createStrategySimulation(simulation);
+    return stored || simulation;
+  }
+
+  async function listSimulations(userId) {
+    const simulations = await db.listStrategySimulationsByUser(userId);
+    return simulations.map(formatSummary);
+  }
+
+  async function getSimulation(userId, simulationId) {
+    return ensureSimulation(userId, simulationId);
+  }
+
+  async function renameSimulation(userId, simulationId, payload) {
+    const simulation = await ensureSimulation(userId, simulationId);
+    const updates = {
+      name: getString(payload, 'name', { minLength: 1 }),
+      updatedAt: new Date().toISOString(),
+    };
+    const stored = await db.updateStrategySimulation(simulationId, updates);
+    return formatSummary(stored || { ...simulation, ...updates });
+  }
+
+  async function deleteSimulation(userId, simulationId) {
+    await ensureSimulation(userId, simulationId);
+    await db.deleteStrategySimulation(simulationId);
+    return { success: true };
+  }
+
+  async function compareSimulations(userId, query) {
+    const leftId = getString(query, 'left', { minLength: 1 });
+    const rightId = getString(query, 'right', { minLength: 1 });
+    if (leftId === rightId) {
+      throw new AppError(400, 'left and right must be two different saved simulations.');
+    }
+    const [left, right] = await Promise.all([ensureSimulation(userId, leftId), ensureSimulation(userId, rightId)]);
+    return compareSavedPlans(left, right);
+  }
+
+  return {
+    saveSimulation,
+    listSimulations,
+    getSimulation,
+    renameSimulation,
+    deleteSimulation,
+    compareSimulations,
+  };
+}
+
+export default createSimulationService;
@@ -1,54 +1,618 @@
+import crypto from 'node:crypto';
 import AppError from '../errors/AppError.js';
-import { getNumber, getString } from '../utils/validators.js';
-import { simulateStrategy } from '../algorithms/debtStrategies.js';
+import { getNumber, getString, getDate, getEnum } from '../utils/validators.js';
+import {
+  compareStrategies,
+  solveRequiredBudget,
+  SUPPORTED_STRATEGIES,
+  SUPPORTED_PAYMENT_FREQUENCIES,
+  COMPARISON_OBJECTIVES,
+  MINIMUM_PAYMENT_RULES,
+} from '../algorithms/debtStrategies.js';
+import { diagnoseDebts, findInputError } from '../algorithms/diagnostics.js';
+import { simulateConsolidation } from '../algorithms/consolidation.js';
+import { simulateRisk, MAX_TRIALS } from '../algorithms/riskSimulation.js';
+import { calculateEffectiveApr, FEE_FREQUENCIES } from '../algorithms/effectiveApr.js';
+import { compareInvestVsPrepay } from '../algorithms/investVsPrepay.js';
+import { buildBaselineSchedule, comparePlanToActual, reforecastPayoff } from '../algorithms/planTracking.js';
+import { planMonthlyPayments } from '../algorithms/monthlyPlan.js';
+import { isActivePayment } from '../algorithms/paymentAllocation.js';
+import { formatYearMonth } from '../utils/date.js';
+import { subtractMoney } from '../utils/money.js';
+
+const DEFAULT_COMPARE_STRATEGIES = ['snowball', 'avalanche'];
 
 function createStrategyService(context) {
-  const { db } = context;
+  const { db, services } = context;
+
+  async function listActivePayments(userId) {
+    const payments = await db.listPaymentsByUser(userId);
+    return payments.filter(isActivePayment);
+  }
+
+  function parseAllocationSettings(raw, debts) {
+    if (!Array.isArray(raw)) {
+      throw new AppError(400, 'allocationSettings must be an array.');
+    }
+    const knownIds = new Set(debts.map((debt) => debt.id));
+    const settings = raw.map((setting, index) => {
+      if (!setting || typeof setting !== 'object') {
+        throw new AppError(400, `allocationSettings[${index}] must be an object.`);
+      }
+      const debtId = getString(setting, 'debtId');
+      if (setting.excludeFromExtra !== undefined && typeof setting.excludeFromExtra !== 'boolean') {
+        throw new AppError(400, `allocationSettings[${index}].excludeFromExtra must be a boolean.`);
+      }
+      return {
+        debtId,
+        excludeFromExtra: Boolean(setting.excludeFromExtra),
+        earmark: getNumber(setting, 'earmark', { required: false, min: 0, defaultValue: 0 }),
+        maxMonthlyPayment: getNumber(setting, 'maxMonthlyPayment', { required: false, min: 0 }),
+      };
+    });
+    const debtIds = settings.map((setting) => setting.debtId);
+    if (new Set(debtIds).size !== debtIds.length) {
+      throw new AppError(400, 'allocationSettings must not repeat a debt.');
+    }
+    const missing = debtIds.filter((id) => !knownIds.has(id));
+    if (missing.length > 0) {
+      throw new AppError(404, 'Some debts in allocationSettings were not found.', { debtIds: missing });
+    }
+    return settings;
+  }
+
+  function parseLoanMinimumPaymentRule(loan) {
+    const raw = loan.minimumPaymentRule;
+    if (raw === undefined || raw === null) {
+      return null;
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new AppError(400, 'loan.minimumPaymentRule must be an object.');
+    }
+    const rule = Object.fromEntries(Object.entries(raw).map(([key, value]) => [`loan.minimumPaymentRule.${key}`, value]));
+    const type = getEnum(rule, 'loan.minimumPaymentRule.type', MINIMUM_PAYMENT_RULES);
+    const percent = getNumber(rule, 'loan.minimumPaymentRule.percent', {
+      required: type !== 'fixed',
+      min: 0,
+      max: 100,
+      defaultValue: 0,
+    });
+    const floor = getNumber(rule, 'loan.minimumPaymentRule.floor', {
+      required: type === 'fixed',
+      min: 0,
+      defaultValue: 0,
+    });
+    if (type === 'fixed' ? floor <= 0 : percent <= 0 && floor <= 0) {
+      throw new AppError(400, 'loan.minimumPaymentRule must produce a positive minimum payment.');
+    }
+    return { type, percent, floor };
+  }
+
+  async function getStoredAllocationSettings(userId) {
+    const user = await db.getUserById(userId);
+    if (!user) {
+      throw new AppError(404, 'User not found.');
+    }
+    return user.allocationSettings || [];
+  }
+
+  async function resolveAllocationSettings(userId, payload, debts) {
+    if (payload.allocationSettings !== undefined) {
+      return parseAllocationSettings(payload.allocationSettings, debts);
+    }
+    const knownIds = new Set(debts.map((debt) => debt.id));
+    const stored = await getStoredAllocationSettings(userId);
+    return stored.filter((setting) => knownIds.has(setting.debtId));
+  }
 
   async function getActiveDebts(userId) {
     const debts = await db.listDebtsByUser(userId);
-    const activeDebts = debts.filter((debt) => debt.balance > 0);
+    const activeDebts = await services.negotiation.applyToDebts(
+      userId,
+      debts.filter((debt) => debt.balance > 0),
+    );
     if (activeDebts.length === 0) {
       throw new AppError(400, 'No active debts found for simulation.');
     }
-    return activeDebts;
+    return activeDebts.map((debt) => ({ ...debt, principal: debt.balance }));
+  }
+
+  function getStrategyOptions(payload) {
+    const options = {};
+    const hybridWeight = getNumber(payload, 'hybridWeight', { required: false, min: 0, max: 1 });
+    if (hybridWeight !== null) {
+      options.hybridWeight = hybridWeight;
+    }
+    if (payload.customOrder !== undefined) {
+      if (!Array.isArray(payload.customOrder) || payload.customOrder.some((id) => typeof id !== 'string')) {
+        throw new AppError(400, 'customOrder must be an array of debt IDs.');
+      }
+      options.customOrder = payload.customOrder;
+    }
+    return options;
+  }
+
+  function getPaymentFrequency(payload) {
+    return getEnum(payload, 'paymentFrequency', SUPPORTED_PAYMENT_FREQUENCIES, {
+      required: false,
+      defaultValue: 'monthly',
+    });
+  }
+
+  function getObjectives(payload) {
+    const { objectives } = payload;
+    if (objectives === undefined) {
+      return undefined;
+    }
+    if (!objectives || typeof objectives !== 'object' || Array.isArray(objectives)) {
+      throw new AppError(400, 'objectives must be an object of objective weights.');
+    }
+    const supported = Object.keys(COMPARISON_OBJECTIVES);
+    const unknown = Object.keys(objectives).filter((objective) => !supported.includes(objective));
+    if (unknown.length > 0) {
+      throw new AppError(400, `objectives must only contain: ${supported.join(', ')}.`);
+    }
+    const weights = {};
+    supported.forEach((objective) => {
+      const weight = getNumber(objectives, objective, { required: false, min: 0 });
+      if (weight !== null) {
+        weights[objective] = weight;
+      }
+    });
+    if (!Object.values(weights).some((weight) => weight > 0)) {
+      throw new AppError(400, 'objectives must contain at least one positive weight.');
+    }
+    return weights;
+  }
+
+  function getPenaltyHandling(payload) {
+    return getEnum(payload, 'penaltyHandling', ['avoid', 'include'], { required: false, defaultValue: 'avoid' });
+  }
+
+  function getBudgetTimeline(payload) {
+    const { budgetChanges = [], lumpSums = [] } = payload;
+    if (!Array.isArray(budgetChanges)) {
+      throw new AppError(400, 'budgetChanges must be an array.');
+    }
+    if (!Array.isArray(lumpSums)) {
+      throw new AppError(400, 'lumpSums must be an array.');
+    }
+    return {
+      budgetChanges: budgetChanges.map((change) => ({
+        effectiveDate: getDate(change || {}, 'effectiveDate').toISOString(),
+        monthlyBudget: getNumber(change || {}, 'monthlyBudget', { min: 0 }),
+      })),
+      lumpSums: lumpSums.map((lumpSum) => ({
+        date: getDate(lumpSum || {}, 'date').toISOString(),
+        amount: getNumber(lumpSum || {}, 'amount', { min: 0.01 }),
+        note: getString(lumpSum || {}, 'note', { required: false }),
+      })),
+    };
+  }
+
+  function getStrategyList(payload) {
+    if (payload.strategies === undefined) {
+      return DEFAULT_COMPARE_STRATEGIES;
+    }
+    if (!Array.isArray(payload.strategies)) {
+      throw new AppError(400, 'strategies must be an array.');
+    }
+    const strategies = Array.from(new Set(payload.strategies.map((value) => String(value).toLowerCase())));
+    if (strategies.some((strategy) => !SUPPORTED_STRATEGIES.includes(strategy))) {
+      throw new AppError(400, `strategies must only contain: ${SUPPORTED_STRATEGIES.join(', ')}.`);
+    }
+    if (strategies.length < 2) {
+      throw new AppError(400, 'strategies must contain at least two distinct entries.');
+    }
+    return strategies;
   }
 
   async function simulate(userId, payload) {
     const strategy = getString(payload, 'strategy', { minLength: 3 }).toLowerCase();
     const monthlyBudget = getNumber(payload, 'monthlyBudget', { min: 0.01 });
     const startDate = payload.startDate ? new Date(payload.startDate) : new Date();
+    const strategyOptions = getStrategyOptions(payload);
+    const budgetTimeline = getBudgetTimeline(payload);
+    const paymentFrequency = getPaymentFrequency(payload);
+    const penaltyHandling = getPenaltyHandling(payload);
     const debts = await getActiveDebts(userId);
-    const result = simulateStrategy(debts, { strategy, monthlyBudget, startDate });
+    const allocationSettings = await resolveAllocationSettings(userId, payload, debts);
+    const { canSimulate, diagnostics, result } = diagnoseDebts(debts, {
+      ...strategyOptions,
+      ...budgetTimeline,
+      allocationSettings,
+      paymentFrequency,
+      penaltyHandling,
+      strategy,
+      monthlyBudget,
+      startDate,
+    });
+    if (!canSimulate) {
+      const inputError = findInputError(diagnostics);
+      if (inputError) {
+        throw new AppError(400, inputError.message, { diagnostics });
+      }
+      throw new AppError(422, 'Simulation cannot be completed with the current debts and budget.', { diagnostics });
+    }
     return {
       strategy: result.strategy,
+      hybridWeight: result.hybridWeight,
+      customOrder: result.customOrder,
       monthlyBudget,
+      startDate: startDate.toISOString(),
+      paymentFrequency,
+      penaltyHandling,
+      allocationSettings,
+      budgetChanges: budgetTimeline.budgetChanges,
+      lumpSums: budgetTimeline.lumpSums,
       totalInterest: result.totalInterest,
+      totalFees: result.totalFees,
+      totalPenalties: result.totalPenalties,
       months: result.months,
+      periods: result.periods,
       payoffDate: result.payoffDate,
       debtSummaries: result.debtSummaries,
       schedule: result.schedule,
+      diagnostics,
     };
   }
 
   async function compare(userId, payload) {
     const monthlyBudget = getNumber(payload, 'monthlyBudget', { min: 0.01 });
     const startDate = payload.startDate ? new Date(payload.startDate) : new Date();
+    const strategies = getStrategyList(payload);
+    const objectives = getObjectives(payload);
+    const strategyOptions = getStrategyOptions(payload);
+    const budgetTimeline = getBudgetTimeline(payload);
+    const paymentFrequency = getPaymentFrequency(payload);
     const debts = await getActiveDebts(userId);
-    const snowball = simulateStrategy(debts, { strategy: 'snowball', monthlyBudget, startDate });
-    const avalanche = simulateStrategy(debts, { strategy: 'avalanche', monthlyBudget, startDate });
+    const allocationSettings = await resolveAllocationSettings(userId, payload, debts);
+    const { baseline, objectives: weights, ranking, comparison, ...results } = compareStrategies(
+      debts,
+      monthlyBudget,
+      startDate,
+      {
+        ...strategyOptions,
+        ...budgetTimeline,
+        allocationSettings,
+        paymentFrequency,
+        penaltyHandling: getPenaltyHandling(payload),
+        strategies,
+        objectives,
+      },
+    );
+    const first = results[strategies[0]];
+    const best = results[comparison.recommendedStrategy];
+    const { snowball, avalanche } = results;
     return {
       monthlyBudget,
-      snowball,
-      avalanche,
-      interestSavings: Number((snowball.totalInterest - avalanche.totalInterest).toFixed(2)),
-      monthsDifference: snowball.months - avalanche.months,
+      paymentFrequency,
+      strategies,
+      ...results,
+      baseline,
+      objectives: weights,
+      ranking,
+      bestStrategy: best.strategy,
+      interestSavings: snowball && avalanche ? subtractMoney(snowball.totalInterest, avalanche.totalInterest) : null,
+      monthsDifference: snowball && avalanche ? snowball.months - avalanche.months : null,
+      recommendedInterestSavings: subtractMoney(first.totalInterest, best.totalInterest),
+      recommendedMonthsDifference: first.months - best.months,
+      recommendation: comparison.explanation,
     };
   }
 
+  async function solveBudget(userId, payload) {
+    const strategy = getString(payload, 'strategy', { minLength: 3 }).toLowerCase();
+    const targetDate = getDate(payload, 'targetDate');
+    const startDate = payload.startDate ? new Date(payload.startDate) : new Date();
+    const strategyOptions = getStrategyOptions(payload);
+    const debts = await getActiveDebts(userId);
+    const { requiredMonthlyBudget, result } = solveRequiredBudget(debts, {
+      ...strategyOptions,
+      allocationSettings: await resolveAllocationSettings(userId, payload, debts),
+      paymentFrequency: getPaymentFrequency(payload),
+      penaltyHandling: getPenaltyHandling(payload),
+      strategy,
+      targetDate,
+      startDate,
+    });
+    return {
+      strategy: result.strategy,
+      targetDate: targetDate.toISOString(),
+      paymentFrequency: result.paymentFrequency,
+      requiredMonthlyBudget,
+      totalInterest: result.totalInterest,
+      totalFees: result.totalFees,
+      months: result.months,
+      payoffDate: result.payoffDate,
+      debtSummaries: result.debtSummaries,
+      schedule: result.schedule,
+    };
+  }
+
+  async function consolidate(userId, payload) {
+    const strategy = getString(payload, 'strategy', { required: false, defaultValue: 'avalanche' }).toLowerCase();
+    const monthlyBudget = getNumber(payload, 'monthlyBudget', { min: 0.01 });
+    const startDate = payload.startDate ? new Date(payload.startDate) : new Date();
+    if (!Array.isArray(payload.debtIds) || payload.debtIds.length === 0) {
+      throw new AppError(400, 'debtIds must be a non-empty array.');
+    }
+    const loan = payload.loan || {};
+    const terms = {
+      apr: getNumber(loan, 'apr', { min: 0 }),
+      termMonths: getNumber(loan, 'termMonths', { required: false, min: 0, defaultValue: 0 }),
+      feePercent: getNumber(loan, 'feePercent', { required: false, min: 0, max: 100, defaultValue: 0 }),
+      flatFee: getNumber(loan, 'flatFee', { required: false, min: 0, defaultValue: 0 }),
+      promoApr: getNumber(loan, 'promoApr', { required: false, min: 0 }),
+      promoMonths: getNumber(loan, 'promoMonths', { required: false, min: 0, defaultValue: 0 }),
+      minimumPayment: getNumber(loan, 'minimumPayment', { required: false, min: 0.01 }),
+      minimumPaymentRule: parseLoanMinimumPaymentRule(loan),
+    };
+    const debts = await getActiveDebts(userId);
+    const knownIds = new Set(debts.map((debt) => debt.id));
+    const missing = payload.debtIds.filter((id) => !knownIds.has(id));
+    if (missing.length > 0) {
+      throw new AppError(404, 'Some debts selected for consolidation were not found.', { debtIds: missing });
+    }
+    const result = simulateConsolidation(debts, {
+      ...getStrategyOptions(payload),
+      allocationSettings: await resolveAllocationSettings(userId, payload, debts),
+      ...getBudgetTimeline(payload),
+      strategy,
+      monthlyBudget,
+      startDate,
+      debtIds: payload.debtIds,
+      loan: terms,
+    });
+    return {
+      strategy,
+      monthlyBudget,
+      ...result,
+    };
+  }
+
+  async function simulateRiskProfile(userId, payload) {
+    const strategy = getString(payload, 'strategy', { minLength: 3 }).toLowerCase();
+    const monthlyBudget = getNumber(payload, 'monthlyBudget', { min: 0.01 });
+    const startDate = payload.startDate ? new Date(payload.startDate) : new Date();
+    const targetDate = getDate(payload, 'targetDate', { required: false });
+    const rateDrift = payload.rateDrift || {};
+    const incomeShock = payload.incomeShock || {};
+    const options = {
+      trials: getNumber(payload, 'trials', { required: false, min: 1, max: MAX_TRIALS, defaultValue: undefined }),
+      seed: getNumber(payload, 'seed', { required: false, defaultValue: undefined }),
+      rateDrift: {
+        mean: getNumber(rateDrift, 'mean', { required: false, defaultValue: 0 }),
+        volatility: getNumber(rateDrift, 'volatility', { required: false, min: 0, defaultValue: 0 }),
+        adjustmentMonths: getNumber(rateDrift, 'adjustmentMonths', { required: false, min: 1, defaultValue: 12 }),
+        debtIds: Array.isArray(rateDrift.debtIds) ? rateDrift.debtIds : null,
+      },
+      incomeShock: {
+        probability: getNumber(incomeShock, 'probability', { required: false, min: 0, max: 1, defaultValue: 0 }),
+        budgetReductionPercent: getNumber(incomeShock, 'budgetReductionPercent', {
+          required: false,
+          min: 0,
+          max: 100,
+          defaultValue: 100,
+        }),
+      },
+    };
+    const debts = await getActiveDebts(userId);
+    const result = simulateRisk(debts, {
+      ...getStrategyOptions(payload),
+      allocationSettings: await resolveAllocationSettings(userId, payload, debts),
+      ...getBudgetTimeline(payload),
+      ...options,
+      strategy,
+      monthlyBudget,
+      startDate,
+      targetDate,
+    });
+    return {
+      strategy,
+      monthlyBudget,
+      ...result,
+    };
+  }
+
+  async function compareInvesting(userId, payload) {
+    const strategy = getString(payload, 'strategy', { required: false, defaultValue: 'avalanche' }).toLowerCase();
+    const monthlyBudget = getNumber(payload, 'monthlyBudget', { min: 0.01 });
+    const startDate = payload.startDate ? new Date(payload.startDate) : new Date();
+    if (payload.splitRatios !== undefined && !Array.isArray(payload.splitRatios)) {
+      throw new AppError(400, 'splitRatios must be an array of ratios between 0 and 1.');
+    }
+    const horizonMonths = getNumber(payload, 'horizonMonths', { required: false, min: 1 });
+    if (horizonMonths !== null && !Number.isInteger(horizonMonths)) {
+      throw new AppError(400, 'horizonMonths must be a whole number of months.');
+    }
+    const debts = await getActiveDebts(userId);
+    return compareInvestVsPrepay(debts, {
+      ...getStrategyOptions(payload),
+      allocationSettings: await resolveAllocationSettings(userId, payload, debts),
+      paymentFrequency: getPaymentFrequency(payload),
+      penaltyHandling: getPenaltyHandling(payload),
+      strategy,
+      monthlyBudget,
+      startDate,
+      extraAmount: getNumber(payload, 'extraAmount', { min: 0.01 }),
+      expectedReturn: getNumber(payload, 'expectedReturn', { min: -99 }),
+      volatility: getNumber(payload, 'volatility', { required: false, min: 0, defaultValue: 0 }),
+      splitRatios: payload.splitRatios,
+      horizonMonths,
+      trials: getNumber(payload, 'trials', { required: false, min: 1, max: MAX_TRIALS, defaultValue: undefined }),
+      seed: getNumber(payload, 'seed', { required: false, defaultValue: undefined }),
+    });
+  }
+
+  async function pinBaseline(userId, payload) {
+    const startDate = payload.startDate ? getDate(payload, 'startDate') : new Date();
+    const simulation = await simulate(userId, { ...payload, startDate: startDate.toISOString() });
+    const debts = await getActiveDebts(userId);
+    const baseline = {
+      id: crypto.randomUUID(),
+      userId,
+      pinnedAt: new Date().toISOString(),
+      startDate: startDate.toISOString(),
+      strategy: simulation.strategy,
+      hybridWeight: simulation.hybridWeight,
+      customOrder: simulation.customOrder,
+      monthlyBudget: simulation.monthlyBudget,
+      paymentFrequency: simulation.paymentFrequency,
+      penaltyHandling: simulation.penaltyHandling,
+      allocationSettings: simulation.allocationSettings,
+      budgetChanges: simulation.budgetChanges,
+      lumpSums: simulation.lumpSums,
+      totalInterest: simulation.totalInterest,
+      months: simulation.months,
+      payoffDate: simulation.payoffDate,
+      debts: debts.map((debt) => ({
+        debtId: debt.id,
+        debtName: debt.name,
+        debtIds: debt.debtIds || [debt.id],
+        balance: debt.balance,
+      })),
+      schedule: buildBaselineSchedule(simulation),
+    };
+    const stored = await db.saveBaselinePlan(baseline);
+    return stored || baseline;
+  }
+
+  async function getBaseline(userId) {
+    const baseline = await db.getBaselinePlanByUser(userId);
+    if (!baseline) {
+      throw new AppError(404, 'No baseline plan has been pinned.');
+    }
+    return baseline;
+  }
+
+  async function unpinBaseline(userId) {
+    await getBaseline(userId);
+    await db.deleteBaselinePlanByUser(userId);
+    return { success: true };
+  }
+
+  async function compareToBaseline(userId, query = {}) {
+    const baseline = await getBaseline(userId);
+    const asOf = query.asOf ? getDate(query, 'asOf') : new Date();
+    const [debts, payments] = await Promise.all([db.listDebtsByUser(userId), listActivePayments(userId)]);
+    const comparison = comparePlanToActual(baseline, { debts, payments, asOf });
+    const activeDebts = await services.negotiation.applyToDebts(userId, debts.filter((debt) => debt.balance > 0));
+    return {
+      baseline: {
+        pinnedAt: baseline.pinnedAt,
+        strategy: baseline.strategy,
+        monthlyBudget: baseline.monthlyBudget,
+        payoffDate: baseline.payoffDate,
+        months: baseline.months,
+        totalInterest: baseline.totalInterest,
+      },
+      ...comparison,
+      reforecast: reforecastPayoff(
+        baseline,
+        activeDebts.map((debt) => ({ ...debt, principal: debt.balance })),
+        comparison,
+        asOf,
+      ),
+    };
+  }
+
+  async function planThisMonth(userId, payload) {
+    const strategy = getString(payload, 'strategy', { minLength: 3 }).toLowerCase();
+    const monthlyBudget = getNumber(payload, 'monthlyBudget', { min: 0.01 });
+    const asOf = payload.asOf ? getDate(payload, 'asOf') : new Date();
+    const [debts, payments] = await Promise.all([db.listDebtsByUser(userId), listActivePayments(userId)]);
+    const month = formatYearMonth(asOf);
+    const paidThisMonth = new Set(
+      payments.filter((payment) => formatYearMonth(payment.paidAt) === month).map((payment) => payment.debtId),
+    );
+    const activeDebts = await services.negotiation.applyToDebts(
+      userId,
+      debts.filter((debt) => debt.balance > 0 || paidThisMonth.has(debt.id)),
+    );
+    if (activeDebts.length === 0) {
+      throw new AppError(400, 'No active debts found for this month.');
+    }
+    const result = planMonthlyPayments(activeDebts.map((debt) => ({ ...debt, principal: debt.balance })), {
+      ...getStrategyOptions(payload),
+      allocationSettings: await resolveAllocationSettings(userId, payload, activeDebts),
+      penaltyHandling: getPenaltyHandling(payload),
+      strategy,
+      monthlyBudget,
+      asOf,
+      payments,
+    });
+    return { strategy, ...result };
+  }
+
+  async function getAllocationSettings(userId) {
+    return { allocationSettings: await getStoredAllocationSettings(userId) };
+  }
+
+  async function updateAllocationSettings(userId, payload) {
+    const debts = await db.listDebtsByUser(userId);
+    const allocationSettings = parseAllocationSettings(payload.allocationSettings, debts);
+    const updated = await db.updateUser(userId, {
+      allocationSettings,
+      updatedAt: new Date().toISOString(),
+    });
+    if (!updated) {
+      throw new AppError(404, 'User not found.');
+    }
+    return { allocationSettings: updated.allocationSettings || allocationSettings };
+  }
+
+  function parseCostFees(payload) {
+    const raw = payload.fees;
+    if (raw === undefined || raw === null) {
+      return [];
+    }
+    if (!Array.isArray(raw)) {
+      throw new AppError(400, 'fees must be an array.');
+    }
+    return raw.map((fee, index) => {
+      if (!fee || typeof fee !== 'object') {
+        throw new AppError(400, `fees[${index}] must be an object.`);
+      }
+      const percent = getNumber(fee, 'percent', { required: false, min: 0, max: 100 });
+      return {
+        name: getString(fee, 'name', { required: false }),
+        frequency: getEnum(fee, 'frequency', FEE_FREQUENCIES, { required: false, defaultValue: 'upfront' }),
+        amount: percent === null ? getNumber(fee, 'amount', { min: 0 }) : null,
+        percent,
+      };
+    });
+  }
+
+  function calculateTotalCostApr(payload) {
+    const termMonths = getNumber(payload, 'termMonths', { min: 1 });
+    if (!Number.isInteger(termMonths)) {
+      throw new AppError(400, 'termMonths must be a whole number of months.');
+    }
+    return calculateEffectiveApr({
+      principal: getNumber(payload, 'principal', { min: 0.01 }),
+      apr: getNumber(payload, 'apr', { min: 0 }),
+      termMonths,
+      fees: parseCostFees(payload),
+    });
+  }
+
   return {
+    getActiveDebts,
     simulate,
     compare,
+    solveBudget,
+    consolidate,
+    calculateEffectiveApr: calculateTotalCostApr,
+    simulateRisk: simulateRiskProfile,
+    compareInvesting,
+    planThisMonth,
+    pinBaseline,
+    getBaseline,
+    unpinBaseline,
+    compareToBaseline,
+    getAllocationSettings,
+    updateAllocationSettings,
   };
 }
 
@@ -41,6 +41,11 @@ class FileDatabaseAdapter {
         debts: Array.isArray(data.debts) ? data.debts : defaults.debts,
         payments: Array.isArray(data.payments) ? data.payments : defaults.payments,
         reminders: Array.isArray(data.reminders) ? data.reminders : defaults.reminders,
+        negotiatedPlans: Array.isArray(data.negotiatedPlans) ? data.negotiatedPlans : defaults.negotiatedPlans,
+        baselinePlans: Array.isArray(data.baselinePlans) ? data.baselinePlans : defaults.baselinePlans,
+        strategySimulations: Array.isArray(data.strategySimulations)
+          ? data.strategySimulations
+          : defaults.strategySimulations,
       };
     } catch (error) {
       return clone(defaultData);
@@ -121,12 +126,28 @@ class FileDatabaseAdapter {
     return clone(this.data.payments.filter((payment) => payment.userId === userId));
   }
 
+  async getPaymentById(paymentId) {
+    const payment = this.data.payments.find((record) => record.id === paymentId);
+    return clone(payment);
+  }
+
   async createPayment(payment) {
     this.data.payments.push(clone(payment));
     this.write();
     return clone(payment);
   }
 
+  async updatePayment(id, updates) {
+    const index = this.data.payments.findIndex((record) => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const updated = { ...this.data.payments[index], ...clone(updates) };
+    this.data.payments[index] = updated;
+    this.write();
+    return clone(updated);
+  }
+
   async deletePaymentsByDebt(debtId) {
     this.data.payments = this.data.payments.filter((payment) => payment.debtId !== debtId);
     this.write();
@@ -145,6 +166,93 @@ class FileDatabaseAdapter {
     this.write();
     return clone(reminder);
   }
+
+  async listNegotiatedPlansByUser(userId) {
+    return clone(
+      this.data.negotiatedPlans
+        .filter((plan) => plan.userId === userId)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    );
+  }
+
+  async getNegotiatedPlanById(planId) {
+    const plan = this.data.negotiatedPlans.find((record) => record.id === planId);
+    return clone(plan);
+  }
+
+  async createNegotiatedPlan(plan) {
+    this.data.negotiatedPlans.push(clone(plan));
+    this.write();
+    return clone(plan);
+  }
+
+  async updateNegotiatedPlan(id, updates) {
+    const index = this.data.negotiatedPlans.findIndex((record) => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const updated = { ...this.data.negotiatedPlans[index], ...clone(updates) };
+    this.data.negotiatedPlans[index] = updated;
+    this.write();
+    return clone(updated);
+  }
+
+  async deleteNegotiatedPlan(id) {
+    this.data.negotiatedPlans = this.data.negotiatedPlans.filter((record) => record.id !== id);
+    this.write();
+  }
+
+  async getBaselinePlanByUser(userId) {
+    const plan = this.data.baselinePlans.find((record) => record.userId === userId);
+    return clone(plan);
+  }
+
+  async saveBaselinePlan(plan) {
+    this.data.baselinePlans = this.data.baselinePlans.filter((record) => record.userId !== plan.userId);
+    this.data.baselinePlans.push(clone(plan));
+    this.write();
+    return clone(plan);
+  }
+
+  async deleteBaselinePlanByUser(userId) {
+    this.data.baselinePlans = this.data.baselinePlans.filter((record) => record.userId !== userId);
+    this.write();
+  }
+
+  async listStrategySimulationsByUser(userId) {
+    return clone(
+      this.data.strategySimulations
+        .filter((simulation) => simulation.userId === userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    );
+  }
+
+  async getStrategySimulationById(simulationId) {
+    const simulation = this.data.strategySimulations.find((record) => record.id === simulationId);
+    return clone(simulation);
+  }
+
+  async createStrategySimulation(simulation) {
+    this.data.strategySimulations.push(clone(simulation));
+    this.write();
+    return clone(simulation);
+  }
+
+  async updateStrategySimulation(id, updates) {
+    const index = this.data.strategySimulations.findIndex((record) => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const updated = { ...this.data.strategySimulations[index], ...clone(updates) };
+    this.data.strategySimulations[index] = updated;
+    this.write();
+    return clone(updated);
+  }
+
+  async deleteStrategySimulation(id) {
+    this.data.strategySimulations = this.data.strategySimulations.filter((record) => record.id !== id);
+    this.write();
+  }
 }
 
 const PROFILE_TABLE = 'profiles';
@@ -180,6 +288,9 @@ function serializeProfilePayload(payload) {
   if (Object.prototype.hasOwnProperty.call(payload, 'reminderPreferences')) {
     record.reminder_preferences = payload.reminderPreferences;
   }
+  if (Object.prototype.hasOwnProperty.call(payload, 'allocationSettings')) {
+    record.allocation_settings = payload.allocationSettings;
+  }
   if (Object.prototype.hasOwnProperty.call(payload, 'membership')) {
     record.membership = payload.membership;
   }
@@ -206,6 +317,7 @@ function deserializeProfile(record, overrides = {}) {
         income: toNumber(record.income),
         expenses: toNumber(record.expenses),
         reminderPreferences: record.reminder_preferences,
+        allocationSettings: record.allocation_settings,
         membership: record.membership,
         createdAt: record.created_at,
         updatedAt: record.updated_at,
@@ -218,11 +330,57 @@ function deserializeProfile(record, overrides = {}) {
   result.expenses = toNumber(result.expenses) ?? 0;
   result.reminderPreferences =
     result.reminderPreferences || { daysBeforeDue: 3, timeOfDay: '09:00' };
+  result.allocationSettings = result.allocationSettings || [];
   result.membership = result.membership || 'free';
 
   return result;
 }
 
+const SIMULATION_COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  name: 'name',
+  strategyType: 'strategy_type',
+  extraPayment: 'extra_payment',
+  totalDebt: 'total_debt',
+  monthsToPayoff: 'months_to_payoff',
+  totalInterest: 'total_interest',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+function serializeSimulationPayload(payload) {
+  const record = {};
+  Object.entries(SIMULATION_COLUMNS).forEach(([field, column]) => {
+    if (Object.prototype.hasOwnProperty.call(payload, field)) {
+      record[column] = payload[field];
+    }
+  });
+  if (payload.inputs || payload.debts || payload.result) {
+    record.simulation_data = { inputs: payload.inputs, debts: payload.debts, result: payload.result };
+  }
+  return record;
+}
+
+function deserializeSimulation(record) {
+  if (!record) {
+    return null;
+  }
+  const simulation = {};
+  Object.entries(SIMULATION_COLUMNS).forEach(([field, column]) => {
+    simulation[field] = record[column];
+  });
+  simulation.extraPayment = toNumber(simulation.extraPayment);
+  simulation.totalDebt = toNumber(simulation.totalDebt);
+  simulation.monthsToPayoff = toNumber(simulation.monthsToPayoff);
+  simulation.totalInterest = toNumber(simulation.totalInterest);
+  const data = record.simulation_data || {};
+  simulation.inputs = data.inputs || {};
+  simulation.debts = data.debts || [];
+  simulation.result = data.result || {};
+  return simulation;
+}
+
 class SupabaseDatabaseAdapter {
   constructor(options) {
     const { url, key, schema = 'public' } = options;
@@ -378,6 +536,14 @@ class SupabaseDatabaseAdapter {
     return data || [];
   }
 
+  async getPaymentById(paymentId) {
+    const { data, error } = await this.client.from('payments').select('*').eq('id', paymentId).maybeSingle();
+    if (error) {
+      throw new Error(`Supabase getPaymentById failed: ${error.message}`);
+    }
+    return data;
+  }
+
   async createPayment(payment) {
     const { data, error } = await this.client.from('payments').insert(payment).select().single();
     if (error) {
@@ -386,6 +552,14 @@ class SupabaseDatabaseAdapter {
     return data;
   }
 
+  async updatePayment(id, updates) {
+    const { data, error } = await this.client.from('payments').update(updates).eq('id', id).select().maybeSingle();
+    if (error) {
+      throw new Error(`Supabase updatePayment failed: ${error.message}`);
+    }
+    return data;
+  }
+
   async deletePaymentsByDebt(debtId) {
     const { error } = await this.client.from('payments').delete().eq('debtId', debtId);
     if (error) {
@@ -412,6 +586,137 @@ class SupabaseDatabaseAdapter {
     }
     return data;
   }
+
+  async listNegotiatedPlansByUser(userId) {
+    const { data, error } = await this.client
+      .from('negotiated_plans')
+      .select('*')
+      .eq('userId', userId)
+      .order('createdAt', { ascending: true });
+    if (error) {
+      throw new Error(`Supabase listNegotiatedPlansByUser failed: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  async getNegotiatedPlanById(planId) {
+    const { data, error } = await this.client.from('negotiated_plans').select('*').eq('id', planId).maybeSingle();
+    if (error) {
+      throw new Error(`Supabase getNegotiatedPlanById failed: ${error.message}`);
+    }
+    return data;
+  }
+
+  async createNegotiatedPlan(plan) {
+    const { data, error } = await this.client.from('negotiated_plans').insert(plan).select().single();
+    if (error) {
+      throw new Error(`Supabase createNegotiatedPlan failed: ${error.message}`);
+    }
+    return data;
+  }
+
+  async updateNegotiatedPlan(id, updates) {
+    const { data, error } = await this.client
+      .from('negotiated_plans')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Supabase updateNegotiatedPlan failed: ${error.message}`);
+    }
+    return data;
+  }
+
+  async deleteNegotiatedPlan(id) {
+    const { error } = await this.client.from('negotiated_plans').delete().eq('id', id);
+    if (error) {
+      throw new Error(`Supabase deleteNegotiatedPlan failed: ${error.message}`);
+    }
+  }
+
+  async getBaselinePlanByUser(userId) {
+    const { data, error } = await this.client.from('baseline_plans').select('*').eq('userId', userId).maybeSingle();
+    if (error) {
+      throw new Error(`Supabase getBaselinePlanByUser failed: ${error.message}`);
+    }
+    return data;
+  }
+
+  async saveBaselinePlan(plan) {
+    const { data, error } = await this.client
+      .from('baseline_plans')
+      .upsert(plan, { onConflict: 'userId' })
+      .select()
+      .single();
+    if (error) {
+      throw new Error(`Supabase saveBaselinePlan failed: ${error.message}`);
+    }
+    return data;
+  }
+
+  async deleteBaselinePlanByUser(userId) {
+    const { error } = await this.client.from('baseline_plans').delete().eq('userId', userId);
+    if (error) {
+      throw new Error(`Supabase deleteBaselinePlanByUser failed: ${error.message}`);
+    }
+  }
+
+  async listStrategySimulationsByUser(userId) {
+    const { data, error } = await this.client
+      .from('strategy_simulations')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+    if (error) {
+      throw new Error(`Supabase listStrategySimulationsByUser failed: ${error.message}`);
+    }
+    return (data || []).map((record) => deserializeSimulation(record));
+  }
+
+  async getStrategySimulationById(simulationId) {
+    const { data, error } = await this.client
+      .from('strategy_simulations')
+      .select('*')
+      .eq('id', simulationId)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Supabase getStrategySimulationById failed: ${error.message}`);
+    }
+    return deserializeSimulation(data);
+  }
+
+  async createStrategySimulation(simulation) {
+    const { data, error } = await this.client
+      .from('strategy_simulations')
+      .insert(serializeSimulationPayload(simulation))
+      .select()
+      .single();
+    if (error) {
+      throw new Error(`Supabase createStrategySimulation failed: ${error.message}`);
+    }
+    return deserializeSimulation(data);
+  }
+
+  async updateStrategySimulation(id, updates) {
+    const { data, error } = await this.client
+      .from('strategy_simulations')
+      .update(serializeSimulationPayload(updates))
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Supabase updateStrategySimulation failed: ${error.message}`);
+    }
+    return deserializeSimulation(data);
+  }
+
+  async deleteStrategySimulation(id) {
+    const { error } = await this.client.from('strategy_simulations').delete().eq('id', id);
+    if (error) {
+      throw new Error(`Supabase deleteStrategySimulation failed: ${error.message}`);
+    }
+  }
 }
 
 class Database {
@@ -481,10 +786,18 @@ class Database {
     return this.adapter.listPaymentsByUser(userId);
   }
 
+  async getPaymentById(paymentId) {
+    return this.adapter.getPaymentById(paymentId);
+  }
+
   async createPayment(payment) {
     return this.adapter.createPayment(payment);
   }
 
+  async updatePayment(id, updates) {
+    return this.adapter.updatePayment(id, updates);
+  }
+
   async deletePaymentsByDebt(debtId) {
     return this.adapter.deletePaymentsByDebt(debtId);
   }
@@ -496,6 +809,58 @@ class Database {
   async createReminder(reminder) {
     return this.adapter.createReminder(reminder);
   }
+
+  async listNegotiatedPlansByUser(userId) {
+    return this.adapter.listNegotiatedPlansByUser(userId);
+  }
+
+  async getNegotiatedPlanById(planId) {
+    return this.adapter.getNegotiatedPlanById(planId);
+  }
+
+  async createNegotiatedPlan(plan) {
+    return this.adapter.createNegotiatedPlan(plan);
+  }
+
+  async updateNegotiatedPlan(id, updates) {
+    return this.adapter.updateNegotiatedPlan(id, updates);
+  }
+
+  async deleteNegotiatedPlan(id) {
+    return this.adapter.deleteNegotiatedPlan(id);
+  }
+
+  async getBaselinePlanByUser(userId) {
+    return this.adapter.getBaselinePlanByUser(userId);
+  }
+
+  async saveBaselinePlan(plan) {
+    return this.adapter.saveBaselinePlan(plan);
+  }
+
+  async deleteBaselinePlanByUser(userId) {
+    return this.adapter.deleteBaselinePlanByUser(userId);
+  }
+
+  async listStrategySimulationsByUser(userId) {
+    return this.adapter.listStrategySimulationsByUser(userId);
+  }
+
+  async getStrategySimulationById(simulationId) {
+    return this.adapter.getStrategySimulationById(simulationId);
+  }
+
+  async createStrategySimulation(simulation) {
+    return this.adapter.createStrategySimulation(simulation);
+  }
+
+  async updateStrategySimulation(id, updates) {
+    return this.adapter.updateStrategySimulation(id, updates);
+  }
+
+  async deleteStrategySimulation(id) {
+    return this.adapter.deleteStrategySimulation(id);
+  }
 }
 
 export default Database;
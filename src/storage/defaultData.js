@@ -114,6 +114,9 @@ const defaultData = {
       status: 'scheduled',
     },
   ],
+  negotiatedPlans: [],
+  baselinePlans: [],
+  strategySimulations: [],
 };
 
 export default defaultData;
@@ -9,7 +9,13 @@ export type DebtType =
   | 'other';
 export type DebtStatus = 'active' | 'paid_off' | 'closed';
 export type PaymentType = 'regular' | 'extra' | 'minimum' | 'final';
-export type StrategyType = 'snowball' | 'avalanche';
+export type StrategyType =
+  | 'snowball'
+  | 'avalanche'
+  | 'highest_interest'
+  | 'cash_flow_index'
+  | 'hybrid'
+  | 'custom';
 
 export interface UserProfile {
   id: string;
@@ -57,14 +63,22 @@ export interface Reminder {
   created_at: string;
 }
 
+export interface StrategySimulationData {
+  inputs: Record<string, unknown>;
+  debts: Array<Record<string, unknown>>;
+  result: Record<string, unknown>;
+}
+
 export interface StrategySimulation {
   id: string;
   user_id: string;
+  name: string;
   strategy_type: StrategyType;
   extra_payment: number;
   total_debt: number;
   months_to_payoff?: number | null;
   total_interest?: number | null;
-  simulation_data?: unknown;
+  simulation_data?: StrategySimulationData | null;
   created_at: string;
+  updated_at: string;
 }
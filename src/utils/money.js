@@ -0,0 +1,93 @@
+// 金額運算工具：內部一律以整數「分」計算，避免浮點誤差累積
+
+// 捨入方式：四捨五入、銀行家捨入（五取偶）、無條件捨去、無條件進位
+const ROUNDING_MODES = ['half_up', 'half_even', 'down', 'up'];
+
+// 依捨入方式取整數；負數以絕對值捨入後再補回正負號（-0.5 四捨五入為 -1）
+function roundToInteger(value, mode = 'half_up') {
+  // 先去除二進位誤差（例如 12.499999999），再套用捨入規則
+  const normalized = Number(value.toFixed(6));
+  const sign = normalized < 0 ? -1 : 1;
+  const magnitude = Math.abs(normalized);
+  const floor = Math.floor(magnitude);
+  const fraction = Number((magnitude - floor).toFixed(6));
+  let rounded;
+  switch (mode) {
+    case 'down':
+      rounded = floor;
+      break;
+    case 'up':
+      rounded = fraction > 0 ? floor + 1 : floor;
+      break;
+    case 'half_even':
+      if (fraction === 0.5) {
+        rounded = floor % 2 === 0 ? floor : floor + 1;
+      } else {
+        rounded = fraction > 0.5 ? floor + 1 : floor;
+      }
+      break;
+    case 'half_up':
+      rounded = fraction >= 0.5 ? floor + 1 : floor;
+      break;
+    default:
+      throw new Error(`Unsupported rounding mode: ${mode}`);
+  }
+  return sign * rounded || 0;
+}
+
+// 金額轉為整數分；半分依捨入方式處理（預設四捨五入，1.005 元為 101 分），非有限數值視為 0
+function toCents(amount, mode = 'half_up') {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  return roundToInteger(value * 100, mode);
+}
+
+// 整數分轉回金額（保留兩位小數）
+function fromCents(cents) {
+  return Number(((cents || 0) / 100).toFixed(2));
+}
+
+// 分乘以比例（利率、百分比）後依捨入方式取整數分
+function multiplyCents(cents, factor, mode = 'half_up') {
+  return roundToInteger(cents * factor, mode);
+}
+
+// 加總整數分，略過空值
+function sumCents(values) {
+  return values.reduce((sum, value) => sum + (value || 0), 0);
+}
+
+// 將金額捨入到分
+function roundMoney(amount, mode = 'half_up') {
+  return fromCents(toCents(amount, mode));
+}
+
+// 金額相加：各項先捨入到分再加總
+function addMoney(...amounts) {
+  return fromCents(sumCents(amounts.map((amount) => toCents(amount))));
+}
+
+// 金額相減：自第一個金額扣除其餘各項
+function subtractMoney(amount, ...deductions) {
+  return fromCents(toCents(amount) - sumCents(deductions.map((value) => toCents(value))));
+}
+
+// 加總金額陣列
+function sumMoney(amounts) {
+  return fromCents(sumCents(amounts.map((amount) => toCents(amount))));
+}
+
+export {
+  ROUNDING_MODES,
+  roundToInteger,
+  toCents,
+  fromCents,
+  multiplyCents,
+  sumCents,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  sumMoney,
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { simulateConsolidation } from '../src/algorithms/consolidation.js';
+
+const cards = [
+  { id: 'card-a', name: 'Card A', balance: 5000, apr: 19.9, minimumPayment: 150 },
+  { id: 'card-b', name: 'Card B', balance: 3000, apr: 15, minimumPayment: 90 },
+  { id: 'student', name: 'Student Loan', balance: 6000, apr: 4.5, minimumPayment: 120 },
+];
+
+describe('simulateConsolidation', () => {
+  it('replaces the selected debts with one amortizing loan', () => {
+    const result = simulateConsolidation(cards, {
+      debtIds: ['card-a', 'card-b'],
+      loan: { apr: 7, termMonths: 36, feePercent: 2 },
+      strategy: 'avalanche',
+      monthlyBudget: 600,
+      startDate: new Date('2024-01-01'),
+    });
+
+    expect(result.consolidatedDebt.transferredBalance).toBe(8000);
+    expect(result.consolidatedDebt.feesPaid).toBe(160);
+    expect(result.consolidated.debtSummaries.map((item) => item.debtId)).toEqual(['student', 'consolidated-loan']);
+    expect(result.comparison.interestSavings).toBeGreaterThan(0);
+    expect(result.comparison.netSavings).toBeCloseTo(result.comparison.interestSavings - 160, 2);
+    expect(result.comparison.breakEvenMonth).toBeGreaterThanOrEqual(1);
+  });
+
+  it('applies the promotional rate for a balance transfer card', () => {
+    const result = simulateConsolidation(cards, {
+      debtIds: ['card-a'],
+      loan: { apr: 18, promoApr: 0, promoMonths: 12, feePercent: 3, minimumPayment: 150 },
+      strategy: 'avalanche',
+      monthlyBudget: 600,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const transferPayment = result.consolidated.schedule[0].payments.find(
+      (item) => item.debtId === 'consolidated-loan',
+    );
+    expect(transferPayment.interestAccrued).toBe(0);
+    expect(result.comparison.feesPaid).toBe(150);
+  });
+
+  it('reports no break-even month when consolidation never pays off', () => {
+    const result = simulateConsolidation(cards, {
+      debtIds: ['student'],
+      loan: { apr: 9, termMonths: 60, flatFee: 500 },
+      strategy: 'avalanche',
+      monthlyBudget: 600,
+      startDate: new Date('2024-01-01'),
+    });
+
+    expect(result.comparison.netSavings).toBeLessThan(0);
+    expect(result.comparison.breakEvenMonth).toBeNull();
+  });
+
+  it('counts recurring fees on the current plan as a cost', () => {
+    const withFee = cards.map((debt) => (
+      debt.id === 'card-a' ? { ...debt, recurringFees: [{ amount: 120, intervalMonths: 12, startDate: '2024-01-01' }] } : debt
+    ));
+    const options = {
+      debtIds: ['card-a', 'card-b'],
+      loan: { apr: 7, termMonths: 36, feePercent: 2 },
+      strategy: 'avalanche',
+      monthlyBudget: 600,
+      startDate: new Date('2024-01-01'),
+    };
+    const result = simulateConsolidation(withFee, options);
+    const plain = simulateConsolidation(cards, options);
+
+    expect(result.current.totalFees).toBeGreaterThan(0);
+    expect(result.comparison.totalCostCurrent).toBeCloseTo(result.current.totalInterest + result.current.totalFees, 2);
+    expect(result.comparison.netSavings).toBeGreaterThan(plain.comparison.netSavings);
+  });
+
+  it('reports the break-even point as a month for non-monthly schedules', () => {
+    const options = {
+      debtIds: ['card-a', 'card-b'],
+      loan: { apr: 7, termMonths: 36, feePercent: 2 },
+      strategy: 'avalanche',
+      monthlyBudget: 600,
+      startDate: new Date('2024-01-01'),
+    };
+    const monthly = simulateConsolidation(cards, options);
+    const weekly = simulateConsolidation(cards, { ...options, paymentFrequency: 'weekly' });
+
+    expect(weekly.current.schedule.length).toBeGreaterThan(weekly.current.months);
+    expect(weekly.comparison.breakEvenMonth).toBeLessThanOrEqual(weekly.current.months);
+    expect(Math.abs(weekly.comparison.breakEvenMonth - monthly.comparison.breakEvenMonth)).toBeLessThanOrEqual(1);
+  });
+
+  it('requires at least one selected debt', () => {
+    expect(() =>
+      simulateConsolidation(cards, { debtIds: [], loan: { apr: 5, termMonths: 12 }, monthlyBudget: 600 }),
+    ).toThrowError(/請選擇/);
+  });
+});
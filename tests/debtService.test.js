@@ -0,0 +1,80 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import Database from '../src/storage/database.js';
+import createServices from '../src/services/index.js';
+
+const user = { id: 'user-1', membership: 'premium' };
+const nextMonth = () => {
+  const date = new Date();
+  date.setMonth(date.getMonth() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+describe('negotiated plans in the debt service', () => {
+  let filePath;
+  let db;
+  let services;
+
+  const createPlanDebt = async (firstPaymentDate) => {
+    const debt = await services.debt.createDebt(user, {
+      name: 'Card',
+      type: 'credit_card',
+      principal: 6000,
+      apr: 15,
+      minimumPayment: 100,
+      dueDate: '2024-03-01',
+    });
+    await db.updateDebt(debt.id, { createdAt: '2024-01-01T00:00:00.000Z' });
+    const plan = await services.negotiation.createPlan(user.id, {
+      name: 'Plan',
+      debtIds: [debt.id],
+      apr: 0,
+      totalInstallments: 12,
+      installmentAmount: 500,
+      firstPaymentDate,
+    });
+    return { debt, plan };
+  };
+
+  beforeEach(async () => {
+    filePath = path.join(os.tmpdir(), `debt-service-${crypto.randomUUID()}.json`);
+    db = new Database({}, filePath);
+    services = createServices({ db, config: {} });
+    await db.createUser({ id: user.id, email: 'user@example.com', membership: 'premium' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  it('applies plan terms to payments while the plan is active', async () => {
+    const { debt, plan } = await createPlanDebt(nextMonth());
+    const result = await services.debt.recordPayment(user.id, debt.id, { amount: 500 });
+
+    expect(result.payment.planId).toBe(plan.id);
+    expect(result.payment.allocation.interest).toBe(0);
+    expect(result.negotiatedPlan.status).toBe('active');
+  });
+
+  it('records payments on the original terms once the plan reads as breached', async () => {
+    const { debt, plan } = await createPlanDebt('2024-01-10');
+    expect((await services.negotiation.getPlan(user.id, plan.id)).status).toBe('breached');
+
+    const result = await services.debt.recordPayment(user.id, debt.id, { amount: 500 });
+
+    expect(result.payment.planId).toBeNull();
+    expect(result.payment.allocation.interest).toBeGreaterThan(0);
+    expect(result.negotiatedPlan).toBeUndefined();
+  });
+
+  it('blocks deleting a debt in an active plan but allows it once the plan is breached', async () => {
+    const active = await createPlanDebt(nextMonth());
+    await expect(services.debt.deleteDebt(user.id, active.debt.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    const breached = await createPlanDebt('2024-01-10');
+    await expect(services.debt.deleteDebt(user.id, breached.debt.id)).resolves.toEqual({ success: true });
+  });
+});
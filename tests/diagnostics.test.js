@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { diagnoseDebts, findInputError, DIAGNOSTIC_CODES } from '../src/algorithms/diagnostics.js';
+
+const startDate = new Date('2024-01-01');
+
+const underwater = [
+  { id: 'card', name: 'Store Card', balance: 10000, apr: 24, minimumPayment: 100 },
+  { id: 'small', name: 'Small Loan', balance: 1000, apr: 5, minimumPayment: 50 },
+];
+
+const healthy = [
+  { id: 'card-a', name: 'Card A', balance: 5000, apr: 19.9, minimumPayment: 150 },
+  { id: 'card-b', name: 'Card B', balance: 3000, apr: 15, minimumPayment: 90 },
+];
+
+const codesOf = (diagnostics) => diagnostics.map((diagnostic) => diagnostic.code);
+
+describe('diagnoseDebts', () => {
+  it('flags minimums below interest and reports how long the balance keeps growing', () => {
+    const { canSimulate, diagnostics, result } = diagnoseDebts(underwater, {
+      strategy: 'snowball',
+      monthlyBudget: 400,
+      startDate,
+    });
+
+    expect(canSimulate).toBe(true);
+    expect(result.months).toBeGreaterThan(0);
+
+    const minimum = diagnostics.find((item) => item.code === DIAGNOSTIC_CODES.MINIMUM_BELOW_INTEREST);
+    expect(minimum).toMatchObject({ severity: 'warning', debtId: 'card' });
+    expect(minimum.details).toEqual({ minimumPayment: 100, monthlyInterest: 200, shortfall: 100 });
+
+    const growth = diagnostics.find((item) => item.code === DIAGNOSTIC_CODES.BALANCE_GROWS_BEFORE_SHRINKING);
+    expect(growth.debtId).toBe('card');
+    expect(growth.details.monthsBeforeShrinking).toBeGreaterThanOrEqual(3);
+    expect(growth.details.peakBalance).toBeGreaterThan(10000);
+    expect(growth.details.firstShrinkingDate).toBe(result.schedule[growth.details.periodsBeforeShrinking].date);
+  });
+
+  it('returns a blocking diagnostic when the budget misses the minimums', () => {
+    const { canSimulate, diagnostics, result } = diagnoseDebts(healthy, { monthlyBudget: 200, startDate });
+
+    expect(canSimulate).toBe(false);
+    expect(result).toBeNull();
+    expect(diagnostics[0]).toMatchObject({
+      code: DIAGNOSTIC_CODES.BUDGET_BELOW_MINIMUMS,
+      severity: 'error',
+      details: { monthlyBudget: 200, minimumRequired: 240, shortfall: 40 },
+    });
+  });
+
+  it('warns when the budget barely covers the minimums', () => {
+    const { canSimulate, diagnostics } = diagnoseDebts(healthy, { monthlyBudget: 245, startDate });
+
+    expect(canSimulate).toBe(true);
+    const tight = diagnostics.find((item) => item.code === DIAGNOSTIC_CODES.BUDGET_BARELY_COVERS_MINIMUMS);
+    expect(tight.details).toMatchObject({ headroom: 5, headroomPercent: 2.08 });
+
+    const relaxed = diagnoseDebts(healthy, { monthlyBudget: 245, startDate, tightBudgetPercent: 1 });
+    expect(codesOf(relaxed.diagnostics)).not.toContain(DIAGNOSTIC_CODES.BUDGET_BARELY_COVERS_MINIMUMS);
+  });
+
+  it('marks a debt unpayable when the budget cannot outpace interest', () => {
+    const { canSimulate, diagnostics } = diagnoseDebts([underwater[0]], { monthlyBudget: 150, startDate });
+
+    expect(canSimulate).toBe(false);
+    expect(codesOf(diagnostics)).toEqual([
+      DIAGNOSTIC_CODES.MINIMUM_BELOW_INTEREST,
+      DIAGNOSTIC_CODES.BUDGET_BELOW_INTEREST,
+    ]);
+  });
+
+  it('measures first-month interest at the promotional rate in effect at the start date', () => {
+    const promo = { ...underwater[0], rateSchedule: [{ apr: 0, startDate: '2024-01-01', endDate: '2024-12-31' }] };
+    const { canSimulate, diagnostics, result } = diagnoseDebts([promo], { monthlyBudget: 190, startDate });
+
+    expect(canSimulate).toBe(true);
+    expect(codesOf(diagnostics)).not.toContain(DIAGNOSTIC_CODES.MINIMUM_BELOW_INTEREST);
+    expect(codesOf(diagnostics)).not.toContain(DIAGNOSTIC_CODES.BUDGET_BELOW_INTEREST);
+    expect(result.months).toBeGreaterThan(12);
+  });
+
+  it('reports plans that outlast the simulation horizon', () => {
+    const { canSimulate, diagnostics } = diagnoseDebts([underwater[0]], {
+      monthlyBudget: 210,
+      startDate,
+      maxMonths: 24,
+    });
+
+    expect(canSimulate).toBe(false);
+    expect(codesOf(diagnostics)).toContain(DIAGNOSTIC_CODES.PAYOFF_EXCEEDS_HORIZON);
+  });
+
+  it('reports months where a budget cut leaves minimums unpaid', () => {
+    const { diagnostics } = diagnoseDebts(healthy, {
+      monthlyBudget: 600,
+      startDate,
+      budgetChanges: [{ effectiveDate: '2024-03-01', monthlyBudget: 100 }, { effectiveDate: '2024-04-01', monthlyBudget: 600 }],
+    });
+
+    const shortfall = diagnostics.find((item) => item.code === DIAGNOSTIC_CODES.BUDGET_SHORTFALL_MONTHS);
+    expect(shortfall.details.months).toEqual([{ date: '2024-03-01', shortfall: 140 }]);
+  });
+
+  it('turns invalid input into a diagnostic instead of throwing', () => {
+    const { canSimulate, diagnostics } = diagnoseDebts([], { monthlyBudget: 100, startDate });
+
+    expect(canSimulate).toBe(false);
+    expect(diagnostics[0].code).toBe(DIAGNOSTIC_CODES.INVALID_INPUT);
+    expect(findInputError(diagnostics)).toBe(diagnostics[0]);
+  });
+
+  it('separates input errors from plans that cannot be paid off', () => {
+    const unknownStrategy = diagnoseDebts(healthy, { strategy: 'magic', monthlyBudget: 600, startDate });
+    const belowMinimums = diagnoseDebts(healthy, { strategy: 'avalanche', monthlyBudget: 100, startDate });
+    const belowInterest = diagnoseDebts(underwater, { strategy: 'avalanche', monthlyBudget: 190, startDate });
+
+    expect(findInputError(unknownStrategy.diagnostics).code).toBe(DIAGNOSTIC_CODES.INVALID_INPUT);
+    expect(findInputError(belowMinimums.diagnostics).code).toBe(DIAGNOSTIC_CODES.BUDGET_BELOW_MINIMUMS);
+    expect(belowInterest.canSimulate).toBe(false);
+    expect(findInputError(belowInterest.diagnostics)).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { calculateEffectiveApr } from '../src/algorithms/effectiveApr.js';
+
+describe('calculateEffectiveApr', () => {
+  it('matches the nominal rate when there are no fees', () => {
+    const result = calculateEffectiveApr({ principal: 120000, apr: 12, termMonths: 12 });
+
+    expect(result.effectiveApr).toBe(12);
+    expect(result.annualEffectiveRate).toBe(12.68);
+    expect(result.totalFees).toBe(0);
+    expect(result.netProceeds).toBe(120000);
+  });
+
+  it('folds upfront and recurring fees into the total-cost rate', () => {
+    const result = calculateEffectiveApr({
+      principal: 300000,
+      apr: 3,
+      termMonths: 60,
+      fees: [
+        { name: '開辦費', amount: 5000 },
+        { name: '帳戶管理費', amount: 100, frequency: 'monthly' },
+      ],
+    });
+
+    expect(result.monthlyPayment).toBe(5390.61);
+    expect(result.netProceeds).toBe(295000);
+    expect(result.totalFees).toBe(11000);
+    expect(result.totalCost).toBe(result.totalInterest + 11000);
+    expect(result.effectiveApr).toBe(4.43);
+  });
+
+  it('charges annual fees once per loan year and supports percentage fees', () => {
+    const result = calculateEffectiveApr({
+      principal: 100000,
+      apr: 5,
+      termMonths: 24,
+      fees: [{ percent: 1 }, { name: '保險費', amount: 600, frequency: 'annual' }],
+    });
+
+    expect(result.upfrontFees).toBe(1000);
+    expect(result.totalFees).toBe(2200);
+    expect(result.effectiveApr).toBeGreaterThan(5);
+  });
+
+  it('rejects upfront fees that consume the whole principal', () => {
+    expect(() => calculateEffectiveApr({ principal: 1000, apr: 5, termMonths: 12, fees: [{ amount: 1000 }] }))
+      .toThrow('一次性費用不可高於貸款本金');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { compareInvestVsPrepay } from '../src/algorithms/investVsPrepay.js';
+
+const debts = [
+  { id: 'card', name: 'Credit Card', balance: 1500, apr: 18, minimumPayment: 50 },
+  { id: 'mortgage', name: 'Mortgage', balance: 20000, apr: 2.5, minimumPayment: 300 },
+];
+
+const baseOptions = {
+  strategy: 'avalanche',
+  monthlyBudget: 600,
+  extraAmount: 200,
+  expectedReturn: 7,
+  startDate: new Date('2024-01-01'),
+};
+
+describe('compareInvestVsPrepay', () => {
+  it('projects net worth for every split ratio over the slowest payoff', () => {
+    const result = compareInvestVsPrepay(debts, baseOptions);
+    const [allInvest] = result.scenarios;
+    const allPrepay = result.scenarios[result.scenarios.length - 1];
+
+    expect(result.scenarios.map((scenario) => scenario.prepayRatio)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(result.horizonMonths).toBe(allInvest.months);
+    expect(allInvest.timeline).toHaveLength(result.horizonMonths);
+    expect(allInvest.timeline[0]).toMatchObject({ month: '2024-01', invested: 200, investmentValue: 200 });
+    expect(allPrepay.timeline[0]).toMatchObject({ invested: 0, investmentValue: 0 });
+    expect(allPrepay.months).toBeLessThan(allInvest.months);
+    expect(allPrepay.interestSavings).toBeGreaterThan(0);
+
+    const last = allPrepay.timeline[allPrepay.timeline.length - 1];
+    expect(last.debtBalance).toBe(0);
+    expect(last.invested).toBe(800);
+    expect(allPrepay.netWorth.p50).toBe(allPrepay.finalNetWorth);
+  });
+
+  it('reports the break-even return for each debt', () => {
+    const { breakEvenReturns } = compareInvestVsPrepay(debts, baseOptions);
+
+    expect(breakEvenReturns).toEqual([
+      { debtId: 'card', debtName: 'Credit Card', apr: 18, costApr: 18, breakEvenReturn: 19.56, favours: 'prepay' },
+      { debtId: 'mortgage', debtName: 'Mortgage', apr: 2.5, costApr: 2.5, breakEvenReturn: 2.53, favours: 'invest' },
+    ]);
+  });
+
+  it('uses the rates in effect over the horizon for the break-even return', () => {
+    const promo = [
+      { ...debts[0], rateSchedule: [{ apr: 0, startDate: '2024-01-01', endDate: '2099-12-31' }] },
+      debts[1],
+    ];
+    const { breakEvenReturns } = compareInvestVsPrepay(promo, baseOptions);
+
+    expect(breakEvenReturns[0]).toMatchObject({ apr: 0, breakEvenReturn: 0, favours: 'invest' });
+    expect(breakEvenReturns[1]).toMatchObject({ apr: 2.5, breakEvenReturn: 2.53 });
+  });
+
+  it('recommends prepaying when returns trail every debt rate and investing when they beat them', () => {
+    expect(compareInvestVsPrepay(debts, { ...baseOptions, expectedReturn: 0 }).recommendedPrepayRatio).toBe(1);
+    expect(compareInvestVsPrepay(debts, { ...baseOptions, expectedReturn: 25 }).recommendedPrepayRatio).toBe(0);
+  });
+
+  it('spreads outcomes by volatility reproducibly', () => {
+    const options = { ...baseOptions, volatility: 15, trials: 50, seed: 3, splitRatios: [0, 1] };
+    const result = compareInvestVsPrepay(debts, options);
+
+    expect(result).toEqual(compareInvestVsPrepay(debts, options));
+    result.scenarios.forEach((scenario) => {
+      expect(scenario.netWorth.p10).toBeLessThan(scenario.netWorth.p90);
+    });
+  });
+
+  it('rejects split ratios outside 0 and 1', () => {
+    expect(() => compareInvestVsPrepay(debts, { ...baseOptions, splitRatios: [0.5, 1.5] })).toThrow('分配比例必須介於 0 與 1 之間');
+  });
+});
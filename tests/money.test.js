@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { toCents, fromCents, multiplyCents, roundMoney, addMoney, subtractMoney, sumMoney } from '../src/utils/money.js';
+
+describe('money helpers', () => {
+  it('converts between amounts and integer cents without float noise', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(1.005)).toBe(101);
+    expect(fromCents(12345)).toBe(123.45);
+  });
+
+  it('applies explicit rounding modes', () => {
+    expect(multiplyCents(5, 0.5)).toBe(3);
+    expect(multiplyCents(5, 0.5, 'half_even')).toBe(2);
+    expect(multiplyCents(7, 0.5, 'half_even')).toBe(4);
+    expect(roundMoney(10.019, 'down')).toBe(10.01);
+    expect(roundMoney(10.011, 'up')).toBe(10.02);
+    expect(() => roundMoney(1, 'bankers')).toThrowError(/Unsupported rounding mode/);
+  });
+
+  it('adds and subtracts exactly', () => {
+    expect(addMoney(0.1, 0.2)).toBe(0.3);
+    expect(subtractMoney(1000.3, 999.1)).toBe(1.2);
+    expect(sumMoney(Array(10).fill(0.1))).toBe(1);
+  });
+});
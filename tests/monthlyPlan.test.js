@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { planMonthlyPayments } from '../src/algorithms/monthlyPlan.js';
+
+const debts = [
+  { id: 'card', name: 'Card', balance: 2600, apr: 19, minimumPayment: 60, dueDate: '2024-01-25' },
+  { id: 'store', name: 'Store', balance: 800, apr: 9, minimumPayment: 40, dueDate: '2024-01-31' },
+  { id: 'car', name: 'Car', balance: 5000, apr: 5, minimumPayment: 150, dueDate: '2024-01-10' },
+];
+
+const options = { strategy: 'avalanche', monthlyBudget: 600, asOf: new Date('2024-02-10') };
+
+describe('planMonthlyPayments', () => {
+  it('turns the first simulated month into per-debt instructions with due dates', () => {
+    const plan = planMonthlyPayments(debts, options);
+
+    expect(plan).toMatchObject({ month: '2024-02', paidThisMonth: 0, remainingBudget: 600, totalToPay: 600 });
+    expect(plan.instructions.map((item) => item.debtId)).toEqual(['card', 'store', 'car']);
+    expect(plan.instructions[0]).toMatchObject({ minimumPayment: 60, amountToPay: 410, dueDate: '2024-02-25', status: 'pay' });
+    expect(plan.instructions[1].dueDate).toBe('2024-02-29');
+  });
+
+  it('ranks instructions in strategy order rather than input order', () => {
+    const plan = planMonthlyPayments(
+      [
+        { id: 'low', name: 'Low', balance: 3000, apr: 3, minimumPayment: 50 },
+        { id: 'high', name: 'High', balance: 3000, apr: 25, minimumPayment: 50 },
+      ],
+      { strategy: 'avalanche', monthlyBudget: 500, asOf: new Date('2024-02-10') },
+    );
+
+    expect(plan.instructions.map((item) => [item.debtId, item.priority, item.amountToPay])).toEqual([
+      ['high', 1, 450],
+      ['low', 2, 50],
+    ]);
+  });
+
+  it('subtracts payments already recorded this month', () => {
+    const plan = planMonthlyPayments(debts, {
+      ...options,
+      payments: [
+        { debtId: 'card', amount: 400, paidAt: '2024-02-05' },
+        { debtId: 'car', amount: 100, paidAt: '2024-01-20' },
+      ],
+    });
+
+    expect(plan).toMatchObject({ paidThisMonth: 400, remainingBudget: 200, totalToPay: 200, budgetShortfall: 0 });
+    expect(plan.instructions[0]).toMatchObject({
+      balance: 2600,
+      paidThisMonth: 400,
+      minimumRemaining: 0,
+      plannedPayment: 410,
+      amountToPay: 10,
+    });
+    expect(plan.instructions[2]).toMatchObject({ paidThisMonth: 0, amountToPay: 150 });
+  });
+
+  it('takes overpayments out of the extra for other debts but keeps their minimums', () => {
+    const plan = planMonthlyPayments(debts, {
+      ...options,
+      payments: [{ debtId: 'store', amount: 500, paidAt: '2024-02-02' }],
+    });
+
+    expect(plan.instructions.map((item) => [item.debtId, item.amountToPay, item.status])).toEqual([
+      ['card', 60, 'pay'],
+      ['store', 0, 'covered'],
+      ['car', 150, 'pay'],
+    ]);
+    expect(plan).toMatchObject({ remainingBudget: 100, totalToPay: 210, budgetShortfall: 110 });
+  });
+
+  it('marks debts paid off this month', () => {
+    const plan = planMonthlyPayments(
+      [{ ...debts[0] }, { ...debts[1], balance: 0 }],
+      { ...options, payments: [{ debtId: 'store', amount: 800, paidAt: '2024-02-03' }] },
+    );
+
+    expect(plan.instructions[1]).toMatchObject({ debtId: 'store', amountToPay: 0, status: 'paid_off' });
+    expect(plan.instructions[0].amountToPay).toBeGreaterThan(0);
+  });
+});
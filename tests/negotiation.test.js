@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { evaluatePlanCompliance, getPlanStatus, applyNegotiatedPlans } from '../src/algorithms/negotiation.js';
+import { simulateStrategy } from '../src/algorithms/debtStrategies.js';
+
+const plan = {
+  id: 'plan-1',
+  name: '前置協商',
+  status: 'active',
+  debtIds: ['card-a', 'card-b'],
+  apr: 0,
+  totalInstallments: 12,
+  installmentAmount: 500,
+  firstPaymentDate: '2024-01-10',
+  breachConditions: { maxMissedInstallments: 2, graceDays: 5 },
+};
+
+const payment = (amount) => ({ amount, planId: plan.id });
+
+describe('evaluatePlanCompliance', () => {
+  it('counts installments covered by payments and the next amount due', () => {
+    const compliance = evaluatePlanCompliance(plan, [payment(500), payment(700)], new Date('2024-02-20'));
+
+    expect(compliance).toMatchObject({
+      standing: 'current',
+      installmentsPaid: 2,
+      installmentsDue: 2,
+      missedInstallments: 0,
+      remainingInstallments: 10,
+      amountPaid: 1200,
+      arrears: 0,
+      nextDueDate: '2024-03-10',
+      nextAmountDue: 300,
+    });
+  });
+
+  it('waits for the grace days before counting an installment as missed', () => {
+    expect(evaluatePlanCompliance(plan, [payment(500)], new Date('2024-02-14')).missedInstallments).toBe(0);
+
+    const late = evaluatePlanCompliance(plan, [payment(500)], new Date('2024-02-16'));
+    expect(late).toMatchObject({ standing: 'in_arrears', missedInstallments: 1, arrears: 500, nextAmountDue: 500 });
+  });
+
+  it('flags a breach once the missed installments reach the limit', () => {
+    const compliance = evaluatePlanCompliance(plan, [payment(500)], new Date('2024-03-16'));
+
+    expect(compliance).toMatchObject({ standing: 'breached', missedInstallments: 2, arrears: 1000 });
+  });
+
+  it('completes the plan when every installment is paid', () => {
+    const compliance = evaluatePlanCompliance(plan, [payment(6000)], new Date('2024-02-01'));
+
+    expect(compliance).toMatchObject({ standing: 'completed', remainingInstallments: 0, nextDueDate: null });
+  });
+});
+
+describe('getPlanStatus', () => {
+  it('derives a breach on read and lifts it once the missing payment is on the ledger', () => {
+    const asOf = new Date('2024-03-16');
+    const breached = evaluatePlanCompliance(plan, [payment(500)], asOf);
+    const corrected = evaluatePlanCompliance(plan, [payment(500), payment(1000)], asOf);
+
+    expect(getPlanStatus(plan, breached)).toBe('breached');
+    expect(getPlanStatus(plan, corrected)).toBe('active');
+    expect(getPlanStatus({ ...plan, status: 'cancelled' }, breached)).toBe('cancelled');
+  });
+
+  it('gives a 30-day grace period by default', () => {
+    const defaults = { ...plan, breachConditions: undefined };
+
+    expect(evaluatePlanCompliance(defaults, [], new Date('2024-01-11')).standing).toBe('current');
+    expect(evaluatePlanCompliance(defaults, [], new Date('2024-02-09')).standing).toBe('current');
+    expect(evaluatePlanCompliance(defaults, [], new Date('2024-02-10')).standing).toBe('breached');
+  });
+});
+
+describe('applyNegotiatedPlans', () => {
+  const debts = [
+    { id: 'card-a', name: 'Card A', balance: 4000, apr: 15, minimumPayment: 120 },
+    { id: 'card-b', name: 'Card B', balance: 2500, apr: 18, minimumPayment: 80 },
+    { id: 'car', name: 'Car', balance: 3000, apr: 6, minimumPayment: 150 },
+  ];
+
+  it('replaces member debts with the negotiated installment loan', () => {
+    const compliance = evaluatePlanCompliance(plan, [payment(500)], new Date('2024-01-20'));
+    const replaced = applyNegotiatedPlans(debts, [{ ...plan, compliance }]);
+
+    expect(replaced.map((debt) => debt.id)).toEqual(['car', 'plan-1']);
+    expect(replaced[1]).toMatchObject({ balance: 5500, apr: 0, remainingPeriods: 11, debtIds: ['card-a', 'card-b'] });
+
+    const result = simulateStrategy(replaced, {
+      monthlyBudget: 650,
+      startDate: new Date('2024-02-01'),
+      minimumOnly: true,
+    });
+    const summary = result.debtSummaries.find((item) => item.debtId === 'plan-1');
+    expect(summary.installmentPayment).toBe(500);
+    expect(summary.monthsToPayoff).toBe(11);
+  });
+
+  it('leaves member debts on their own terms once a plan is no longer active', () => {
+    const compliance = evaluatePlanCompliance(plan, [], new Date('2024-03-16'));
+    const replaced = applyNegotiatedPlans(debts, [{ ...plan, status: 'breached', compliance }]);
+
+    expect(replaced).toEqual(debts);
+  });
+});
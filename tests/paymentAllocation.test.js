@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateAccruedInterest,
+  allocatePayment,
+  getBalanceReduction,
+  replayPayments,
+} from '../src/algorithms/paymentAllocation.js';
+
+const debt = { id: 'card', name: 'Card', balance: 1200, apr: 12 };
+
+describe('allocatePayment', () => {
+  it('pays interest accrued since the last payment before principal', () => {
+    const allocation = allocatePayment(debt, { amount: 100, paidAt: '2024-01-31', since: '2024-01-01' });
+
+    expect(allocation).toEqual({
+      days: 30,
+      balanceBefore: 1200,
+      accruedInterest: 11.84,
+      accruedFees: 0,
+      interest: 11.84,
+      fees: 0,
+      principal: 88.16,
+      balanceAfter: 1111.84,
+    });
+  });
+
+  it('applies fees that fell due after interest and capitalizes what the payment does not cover', () => {
+    const withFee = {
+      ...debt,
+      recurringFees: [{ amount: 25, intervalMonths: 1, startDate: '2023-11-15' }],
+    };
+    const allocation = allocatePayment(withFee, { amount: 30, paidAt: '2024-01-31', since: '2024-01-01' });
+
+    expect(allocation).toMatchObject({ accruedFees: 25, interest: 11.84, fees: 18.16, principal: 0, balanceAfter: 1206.84 });
+    expect(allocatePayment(debt, { amount: 5, paidAt: '2024-01-31', since: '2024-01-01' })).toMatchObject({
+      interest: 5,
+      principal: 0,
+      balanceAfter: 1206.84,
+    });
+  });
+
+  it('uses the rate in effect on each day and treats the first payment without a start date as principal', () => {
+    const promo = { ...debt, rateSchedule: [{ apr: 0, startDate: '2024-01-01', endDate: '2024-01-15' }] };
+
+    expect(calculateAccruedInterest(promo, '2024-01-01', '2024-01-31')).toBe(592);
+    expect(allocatePayment(debt, { amount: 100, paidAt: '2024-01-31' })).toMatchObject({
+      days: 0,
+      interest: 0,
+      principal: 100,
+      balanceAfter: 1100,
+    });
+  });
+});
+
+describe('getBalanceReduction', () => {
+  it('excludes accrued charges and falls back to the full amount for older payments', () => {
+    const allocation = allocatePayment(debt, { amount: 100, paidAt: '2024-01-31', since: '2024-01-01' });
+
+    expect(getBalanceReduction({ amount: 100, allocation })).toBe(8816);
+    expect(getBalanceReduction({ amount: 100 })).toBe(10000);
+  });
+});
+
+describe('replayPayments', () => {
+  const payment = (id, amount, paidAt, extra = {}) => ({ id, amount, paidAt, createdAt: paidAt, ...extra });
+
+  it('reallocates the ledger in date order and skips voided payments', () => {
+    const replay = replayPayments(debt, [
+      payment('second', 100, '2024-03-01'),
+      payment('first', 1000, '2024-01-31'),
+      payment('duplicate', 100, '2024-02-15', { voidedAt: '2024-02-16', voidReason: 'duplicate' }),
+    ], { openingBalance: 1200, since: '2024-01-01' });
+
+    expect(replay).toMatchObject({
+      balance: 113.93,
+      totalPaid: 1100,
+      interestPaid: 13.93,
+      feesPaid: 0,
+      lastPaymentAt: '2024-03-01',
+    });
+    expect(replay.allocations.get('second')).toMatchObject({ balanceBefore: 211.84, interest: 2.09 });
+    expect(replay.allocations.has('duplicate')).toBe(false);
+  });
+
+  it('splits the accrual around a payment recorded after a later one', () => {
+    const replay = replayPayments(debt, [
+      payment('later', 100, '2024-03-01'),
+      { ...payment('backdated', 1000, '2024-01-31'), createdAt: '2024-03-02' },
+    ], { openingBalance: 1200, since: '2024-01-01' });
+
+    expect(replay.allocations.get('backdated')).toMatchObject({ days: 30, interest: 11.84 });
+    expect(replay.allocations.get('later')).toMatchObject({ days: 30, balanceBefore: 211.84 });
+    expect(replay.lastPaymentAt).toBe('2024-03-01');
+  });
+
+  it('applies manual balance adjustments on their effective date', () => {
+    const replay = replayPayments(debt, [payment('first', 100, '2024-01-31'), payment('second', 100, '2024-03-01')], {
+      openingBalance: 1200,
+      since: '2024-01-01',
+      adjustments: [{ id: 'edit', amount: -200, effectiveAt: '2024-02-10' }],
+    });
+
+    expect(replay.allocations.get('first')).toMatchObject({ balanceBefore: 1200, balanceAfter: 1111.84 });
+    expect(replay.allocations.get('second')).toMatchObject({ balanceBefore: 911.84, interest: 8.99 });
+    expect(replay.lastPaymentAt).toBe('2024-03-01');
+  });
+
+  it('accrues negotiated-plan payments at the plan rate', () => {
+    const replay = replayPayments(debt, [payment('plan', 100, '2024-01-31', { planId: 'plan-1' })], {
+      openingBalance: 1200,
+      since: '2024-01-01',
+      plans: [{ id: 'plan-1', apr: 0 }],
+    });
+
+    expect(replay).toMatchObject({ balance: 1100, interestPaid: 0, lastPaymentAt: '2024-01-31' });
+  });
+});
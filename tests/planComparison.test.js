@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { simulateStrategy } from '../src/algorithms/debtStrategies.js';
+import { compareSavedPlans, getPayoffOrder } from '../src/algorithms/planComparison.js';
+
+const debts = [
+  { id: 'card', name: 'Card', balance: 3000, apr: 19, minimumPayment: 60 },
+  { id: 'store', name: 'Store', balance: 800, apr: 9, minimumPayment: 40 },
+];
+
+function savePlan(id, strategy, monthlyBudget) {
+  const result = simulateStrategy(debts, { strategy, monthlyBudget, startDate: new Date('2024-01-01') });
+  return { id, name: id, strategyType: strategy, inputs: { monthlyBudget }, result };
+}
+
+describe('getPayoffOrder', () => {
+  it('rolls card installment sub-balances into the card', () => {
+    const card = {
+      ...debts[0],
+      installmentPlans: [{ id: 'tv', name: 'TV', principal: 1200, termMonths: 12, startDate: '2023-10-15' }],
+    };
+    const result = simulateStrategy([card, debts[1]], {
+      strategy: 'avalanche',
+      monthlyBudget: 400,
+      startDate: new Date('2024-01-01'),
+    });
+    const order = getPayoffOrder(result);
+
+    const installment = result.debtSummaries.find((summary) => summary.debtId === 'card:tv');
+    expect(order.map((debt) => debt.debtId)).toEqual(['card', 'store']);
+    expect(order[0]).toMatchObject({ debtName: 'Card', monthsToPayoff: installment.monthsToPayoff, position: 1 });
+  });
+});
+
+describe('compareSavedPlans', () => {
+  it('reports interest and payoff order differences between two plans', () => {
+    const comparison = compareSavedPlans(savePlan('snowball', 'snowball', 400), savePlan('avalanche', 'avalanche', 400));
+
+    expect(comparison.differences.interest).toEqual({ interestDifference: -46.22, cheaperPlan: 'right' });
+    expect(comparison.differences.payoffDate).toEqual({ monthsDifference: 0, earlierPlan: null });
+    expect(comparison.left.payoffOrder.map((debt) => debt.debtId)).toEqual(['store', 'card']);
+    expect(comparison.right.payoffOrder.map((debt) => debt.debtId)).toEqual(['card', 'store']);
+    expect(comparison.differences.payoffOrder.sameOrder).toBe(false);
+    expect(comparison.differences.payoffOrder.changes[0]).toMatchObject({
+      debtId: 'store',
+      leftPosition: 1,
+      rightPosition: 2,
+      monthsDifference: 8,
+    });
+  });
+
+  it('flags the plan that finishes earlier', () => {
+    const comparison = compareSavedPlans(savePlan('lean', 'avalanche', 400), savePlan('generous', 'avalanche', 600));
+
+    expect(comparison.differences.payoffDate.earlierPlan).toBe('right');
+    expect(comparison.differences.payoffDate.monthsDifference).toBeLessThan(0);
+    expect(comparison.differences.interest.cheaperPlan).toBe('right');
+    expect(comparison.differences.payoffOrder.sameOrder).toBe(true);
+  });
+});
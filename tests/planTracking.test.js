@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { simulateStrategy } from '../src/algorithms/debtStrategies.js';
+import { buildBaselineSchedule, comparePlanToActual, reforecastPayoff } from '../src/algorithms/planTracking.js';
+
+const debts = [
+  { id: 'card', name: 'Card', balance: 3000, apr: 12, minimumPayment: 60 },
+  { id: 'car', name: 'Car', balance: 2000, apr: 6, minimumPayment: 100 },
+];
+
+function pin(options = {}) {
+  const result = simulateStrategy(debts, {
+    strategy: 'avalanche',
+    monthlyBudget: 500,
+    startDate: new Date('2024-01-01'),
+    ...options,
+  });
+  return {
+    startDate: '2024-01-01T00:00:00.000Z',
+    strategy: 'avalanche',
+    monthlyBudget: 500,
+    paymentFrequency: options.paymentFrequency || 'monthly',
+    payoffDate: result.payoffDate,
+    months: result.months,
+    debts: debts.map((debt) => ({ debtId: debt.id, debtName: debt.name, debtIds: [debt.id], balance: debt.balance })),
+    schedule: buildBaselineSchedule(result),
+  };
+}
+
+const payment = (debtId, amount, paidAt) => ({ debtId, amount, paidAt });
+
+describe('buildBaselineSchedule', () => {
+  it('rolls pay periods up into calendar months', () => {
+    const monthly = pin();
+    const weekly = pin({ paymentFrequency: 'weekly' });
+
+    expect(monthly.schedule[0]).toMatchObject({ month: '2024-01', totalPaid: 500, remainingBalance: 4540 });
+    expect(weekly.schedule[0].month).toBe('2024-01');
+    expect(weekly.schedule.map((row) => row.month)).toEqual([...new Set(weekly.schedule.map((row) => row.month))]);
+    expect(weekly.schedule[0].debts.map((debt) => debt.debtId)).toEqual(['card', 'car']);
+  });
+});
+
+describe('comparePlanToActual', () => {
+  const baseline = pin();
+  const payments = [
+    payment('card', 400, '2024-01-10'),
+    payment('car', 100, '2024-01-15'),
+    payment('card', 200, '2024-02-10'),
+    payment('car', 100, '2024-02-15'),
+  ];
+  const current = [
+    { id: 'card', balance: 2400 },
+    { id: 'car', balance: 1800 },
+  ];
+
+  it('reports payment and balance variance month by month', () => {
+    const comparison = comparePlanToActual(baseline, { debts: current, payments, asOf: new Date('2024-02-28') });
+
+    expect(comparison.months.map((month) => month.month)).toEqual(['2024-01', '2024-02']);
+    expect(comparison.months[0]).toMatchObject({ plannedPayment: 500, actualPayment: 500, actualBalance: 4500 });
+    const [card] = comparison.months[1].debts;
+    expect(card).toMatchObject({
+      debtId: 'card',
+      plannedPayment: 400,
+      actualPayment: 200,
+      paymentVariance: -200,
+      plannedBalance: 2256.3,
+      actualBalance: 2400,
+      balanceVariance: 143.7,
+    });
+    expect(comparison.standing).toBe('behind');
+    expect(comparison.totals).toMatchObject({ plannedPayment: 1000, actualPayment: 800, paymentVariance: -200 });
+  });
+
+  it('ignores payments made before the baseline started', () => {
+    const comparison = comparePlanToActual(baseline, {
+      debts: [{ id: 'card', balance: 2000 }, { id: 'car', balance: 1900 }],
+      payments: [payment('card', 1000, '2023-12-20'), payment('card', 1000, '2024-01-10'), payment('car', 100, '2024-01-15')],
+      asOf: new Date('2024-01-31'),
+    });
+
+    expect(comparison.months[0]).toMatchObject({ actualPayment: 1100, actualBalance: 3900 });
+    expect(comparison.standing).toBe('ahead');
+  });
+});
+
+describe('reforecastPayoff', () => {
+  const baseline = pin();
+
+  it('projects the payoff date from the average actual monthly payment', () => {
+    const comparison = comparePlanToActual(baseline, {
+      debts: [{ id: 'card', balance: 2400 }, { id: 'car', balance: 1800 }],
+      payments: [
+        payment('card', 400, '2024-01-10'),
+        payment('car', 100, '2024-01-15'),
+        payment('card', 200, '2024-02-10'),
+        payment('car', 100, '2024-02-15'),
+      ],
+      asOf: new Date('2024-03-01'),
+    });
+    const current = [{ ...debts[0], balance: 2400 }, { ...debts[1], balance: 1800 }];
+    const forecast = reforecastPayoff(baseline, current, comparison, new Date('2024-03-01'));
+
+    expect(forecast).toMatchObject({ basis: 'actual', monthlyBudget: 400, reason: null });
+    expect(forecast.monthsVersusPlan).toBeGreaterThan(0);
+  });
+
+  it('explains when the actual pace cannot cover the minimum payments', () => {
+    const comparison = comparePlanToActual(baseline, {
+      debts: [{ id: 'card', balance: 3000 }, { id: 'car', balance: 2000 }],
+      payments: [],
+      asOf: new Date('2024-02-01'),
+    });
+    const forecast = reforecastPayoff(baseline, debts, comparison, new Date('2024-02-01'));
+
+    expect(forecast).toMatchObject({ basis: 'actual', monthlyBudget: 0, payoffDate: null });
+    expect(forecast.reason).toMatch(/月預算/);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { simulateRisk, MAX_TRIALS } from '../src/algorithms/riskSimulation.js';
+
+const debts = [
+  { id: 'card', name: 'Credit Card', balance: 1500, apr: 18, minimumPayment: 50 },
+  { id: 'mortgage', name: 'Mortgage', balance: 20000, apr: 2.5, minimumPayment: 300 },
+];
+
+const baseOptions = {
+  strategy: 'avalanche',
+  monthlyBudget: 600,
+  startDate: new Date('2024-01-01'),
+  trials: 50,
+};
+
+describe('simulateRisk', () => {
+  it('collapses to the deterministic plan without any randomness', () => {
+    const result = simulateRisk(debts, baseOptions);
+
+    expect(result.months.p10).toBe(result.baseline.months);
+    expect(result.months.p90).toBe(result.baseline.months);
+    expect(result.payoffDate.p50).toBe(result.baseline.payoffDate);
+    expect(result.failedTrials).toBe(0);
+  });
+
+  it('is reproducible for the same seed', () => {
+    const options = {
+      ...baseOptions,
+      seed: 42,
+      rateDrift: { mean: 0.25, volatility: 1, debtIds: ['mortgage'] },
+      incomeShock: { probability: 0.1, budgetReductionPercent: 50 },
+    };
+
+    expect(simulateRisk(debts, options)).toEqual(simulateRisk(debts, options));
+  });
+
+  it('widens the payoff distribution under income shocks', () => {
+    const result = simulateRisk(debts, {
+      ...baseOptions,
+      seed: 7,
+      incomeShock: { probability: 0.2, budgetReductionPercent: 60 },
+      targetDate: '2027-12-01',
+    });
+
+    expect(result.months.p10).toBeLessThanOrEqual(result.months.p50);
+    expect(result.months.p50).toBeLessThanOrEqual(result.months.p90);
+    expect(result.months.p50).toBeGreaterThan(result.baseline.months);
+    expect(result.probabilityByTarget).toBeGreaterThanOrEqual(0);
+    expect(result.probabilityByTarget).toBeLessThanOrEqual(1);
+    const histogramTotal = result.interest.histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+    expect(histogramTotal).toBe(50);
+  });
+
+  it('applies income shocks to the budget timeline and restores the timeline amount', () => {
+    const result = simulateRisk(debts, {
+      ...baseOptions,
+      monthlyBudget: 400,
+      budgetChanges: [{ effectiveDate: '2024-03-01', monthlyBudget: 4000 }],
+      seed: 11,
+      incomeShock: { probability: 0.05, budgetReductionPercent: 50 },
+    });
+
+    expect(result.failedTrials).toBe(0);
+    expect(result.months.p90).toBeLessThanOrEqual(result.baseline.months + 2);
+  });
+
+  it('defaults to 200 trials and caps the number of trials so a request stays fast', () => {
+    expect(simulateRisk(debts, { ...baseOptions, trials: undefined }).trials).toBe(200);
+    expect(MAX_TRIALS).toBe(1000);
+    expect(() => simulateRisk(debts, { ...baseOptions, trials: MAX_TRIALS + 1 })).toThrowError(/模擬次數/);
+  });
+
+  it('rejects invalid shock probabilities', () => {
+    expect(() => simulateRisk(debts, { ...baseOptions, incomeShock: { probability: 2 } })).toThrowError(/機率/);
+  });
+});
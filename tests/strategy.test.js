@@ -1,5 +1,13 @@
 import { describe, it, expect } from 'vitest';
-import { simulateStrategy, compareStrategies } from '../src/algorithms/debtStrategies.js';
+import {
+  simulateStrategy,
+  compareStrategies,
+  calculateAnnuityPayment,
+  calculateExtraPaymentEffect,
+  getInterestOnlyStatus,
+  splitCardBalance,
+  solveRequiredBudget,
+} from '../src/algorithms/debtStrategies.js';
 
 const sampleDebts = [
   {
@@ -83,6 +91,628 @@ describe('simulateStrategy', () => {
       }),
     ).toThrowError(/策略必須是 snowball/);
   });
+
+  it('pays the largest monthly interest cost first with the highest_interest strategy', () => {
+    const debts = sampleDebts.map((debt) => (debt.id === 'debt-2' ? { ...debt, balance: 12000 } : debt));
+    const result = simulateStrategy(debts, {
+      strategy: 'highest_interest',
+      monthlyBudget: 700,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const firstMonth = result.schedule[0].payments;
+    expect(firstMonth.find((item) => item.debtId === 'debt-2')?.payment).toBe(560);
+    expect(firstMonth.find((item) => item.debtId === 'debt-1')?.payment).toBe(50);
+  });
+
+  it('orders by balance divided by minimum payment with the cash_flow_index strategy', () => {
+    const result = simulateStrategy(sampleDebts, {
+      strategy: 'cash_flow_index',
+      monthlyBudget: 700,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const creditCard = result.debtSummaries.find((item) => item.debtId === 'debt-1');
+    const studentLoan = result.debtSummaries.find((item) => item.debtId === 'debt-2');
+    expect(creditCard?.monthsToPayoff).toBeLessThan(studentLoan?.monthsToPayoff ?? Infinity);
+  });
+
+  it('matches snowball and avalanche at the extremes of the hybrid weight', () => {
+    const options = { monthlyBudget: 700, startDate: new Date('2024-01-01') };
+    const snowball = simulateStrategy(sampleDebts, { ...options, strategy: 'snowball' });
+    const avalanche = simulateStrategy(sampleDebts, { ...options, strategy: 'avalanche' });
+    const hybridSnowball = simulateStrategy(sampleDebts, { ...options, strategy: 'hybrid', hybridWeight: 0 });
+    const hybridAvalanche = simulateStrategy(sampleDebts, { ...options, strategy: 'hybrid', hybridWeight: 1 });
+
+    expect(hybridSnowball.totalInterest).toBe(snowball.totalInterest);
+    expect(hybridAvalanche.totalInterest).toBe(avalanche.totalInterest);
+    expect(hybridAvalanche.hybridWeight).toBe(1);
+  });
+
+  it('rejects hybrid weights outside of 0 to 1', () => {
+    expect(() =>
+      simulateStrategy(sampleDebts, { strategy: 'hybrid', hybridWeight: 2, monthlyBudget: 700 }),
+    ).toThrowError(/混合法權重/);
+  });
+
+  it('follows a user-defined priority list with the custom strategy', () => {
+    const result = simulateStrategy(sampleDebts, {
+      strategy: 'custom',
+      customOrder: ['debt-2'],
+      monthlyBudget: 700,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const firstMonth = result.schedule[0].payments;
+    expect(firstMonth.find((item) => item.debtId === 'debt-2')?.payment).toBe(560);
+    expect(firstMonth.find((item) => item.debtId === 'debt-1')?.payment).toBe(50);
+    expect(result.customOrder).toEqual(['debt-2']);
+  });
+
+  it('requires a priority list for the custom strategy', () => {
+    expect(() =>
+      simulateStrategy(sampleDebts, { strategy: 'custom', monthlyBudget: 700 }),
+    ).toThrowError(/自訂策略/);
+  });
+});
+
+describe('schedule reconciliation', () => {
+  it('sums monthly payments and interest exactly to the reported totals', () => {
+    const result = simulateStrategy(
+      [
+        { id: 'mortgage', name: 'Mortgage', balance: 250000, apr: 3.37, minimumPayment: 1105.27 },
+        { id: 'card', name: 'Card', balance: 3333.33, apr: 19.99, minimumPayment: 66.67 },
+      ],
+      { strategy: 'avalanche', monthlyBudget: 1200, startDate: new Date('2024-01-01') },
+    );
+
+    const toCents = (value) => Math.round(value * 100);
+    const paid = result.schedule.reduce(
+      (sum, month) => sum + month.payments.reduce((inner, item) => inner + toCents(item.payment), 0),
+      0,
+    );
+    const interest = result.schedule.reduce((sum, month) => sum + toCents(month.totalInterest), 0);
+    const startingBalance = toCents(250000) + toCents(3333.33);
+
+    expect(result.months).toBeGreaterThan(200);
+    expect(paid).toBe(toCents(result.totalPaid));
+    expect(interest).toBe(toCents(result.totalInterest));
+    expect(paid).toBe(startingBalance + interest);
+  });
+
+  it('reports the same totals when the monthly schedule is skipped', () => {
+    const options = { strategy: 'avalanche', monthlyBudget: 600, startDate: new Date('2024-01-01') };
+    const full = simulateStrategy(sampleDebts, options);
+    const summary = simulateStrategy(sampleDebts, { ...options, includeSchedule: false });
+
+    expect(summary.schedule).toEqual([]);
+    expect(summary).toMatchObject({
+      months: full.months,
+      payoffDate: full.payoffDate,
+      totalInterest: full.totalInterest,
+      totalPaid: full.totalPaid,
+    });
+  });
+});
+
+describe('rate schedules', () => {
+  it('applies a promotional rate only inside its date range', () => {
+    const promoDebts = sampleDebts.map((debt) =>
+      debt.id === 'debt-1'
+        ? { ...debt, rateSchedule: [{ startDate: '2024-01-01', endDate: '2024-06-30', apr: 0 }] }
+        : debt,
+    );
+    const result = simulateStrategy(promoDebts, {
+      strategy: 'avalanche',
+      monthlyBudget: 300,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const cardPayment = (month) => result.schedule[month].payments.find((item) => item.debtId === 'debt-1');
+    expect(cardPayment(0).interestAccrued).toBe(0);
+    expect(cardPayment(0).apr).toBe(0);
+    expect(cardPayment(6).apr).toBe(18);
+    expect(cardPayment(6).interestAccrued).toBeGreaterThan(0);
+
+    const summary = result.debtSummaries.find((item) => item.debtId === 'debt-1');
+    expect(summary.aprHistory).toEqual([
+      { date: '2024-01-01', apr: 0 },
+      { date: '2024-07-01', apr: 18 },
+    ]);
+  });
+
+  it('orders avalanche payments by the rate in effect that month', () => {
+    const promoDebts = sampleDebts.map((debt) =>
+      debt.id === 'debt-1'
+        ? { ...debt, rateSchedule: [{ startDate: '2024-01-01', endDate: '2024-03-31', apr: 0 }] }
+        : debt,
+    );
+    const result = simulateStrategy(promoDebts, {
+      strategy: 'avalanche',
+      monthlyBudget: 700,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const autoLoanFirstMonth = result.schedule[0].payments.find((item) => item.debtId === 'debt-3');
+    expect(autoLoanFirstMonth.payment).toBeGreaterThan(90);
+  });
+
+  it('rejects schedules that end before they start', () => {
+    const invalid = [{ ...sampleDebts[0], rateSchedule: [{ startDate: '2024-06-01', endDate: '2024-01-01', apr: 0 }] }];
+    expect(() => simulateStrategy(invalid, { monthlyBudget: 200 })).toThrowError(/結束日期/);
+  });
+});
+
+describe('installment loans', () => {
+  const autoLoan = {
+    id: 'auto',
+    name: 'Auto Loan',
+    balance: 12000,
+    apr: 6,
+    totalPeriods: 24,
+    originationDate: '2023-12-15',
+  };
+
+  it('computes the annuity payment for a fixed term', () => {
+    expect(calculateAnnuityPayment(12000, 6, 24)).toBeCloseTo(531.85, 2);
+    expect(calculateAnnuityPayment(1200, 0, 12)).toBe(100);
+  });
+
+  it('amortizes the loan over its remaining term when paying the minimum', () => {
+    const result = simulateStrategy([autoLoan], {
+      strategy: 'avalanche',
+      monthlyBudget: 531.85,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const summary = result.debtSummaries[0];
+    expect(summary.installmentPayment).toBeCloseTo(531.85, 2);
+    expect(summary.remainingPeriods).toBe(24);
+    expect(summary.contractualPayoffDate).toBe('2025-12-01');
+    expect(result.months).toBe(24);
+
+    const firstPayment = result.schedule[0].payments[0];
+    expect(firstPayment.interestPaid).toBe(60);
+    expect(firstPayment.principalPaid).toBeCloseTo(471.85, 2);
+  });
+
+  it('counts elapsed periods from the origination date', () => {
+    const result = simulateStrategy([{ ...autoLoan, balance: 6000 }], {
+      strategy: 'avalanche',
+      monthlyBudget: 1000,
+      startDate: new Date('2025-01-01'),
+    });
+
+    expect(result.debtSummaries[0].remainingPeriods).toBe(12);
+    expect(result.debtSummaries[0].installmentPayment).toBeCloseTo(calculateAnnuityPayment(6000, 6, 12), 2);
+  });
+});
+
+describe('minimum payment rules', () => {
+  const card = {
+    id: 'card',
+    name: 'Card',
+    balance: 10000,
+    apr: 12,
+    minimumPaymentRule: { type: 'interest_plus_percent', percent: 1, floor: 25 },
+  };
+
+  it('recalculates a shrinking minimum payment each month', () => {
+    const result = simulateStrategy([card, { ...sampleDebts[1] }], {
+      strategy: 'avalanche',
+      monthlyBudget: 400,
+      startDate: new Date('2024-01-01'),
+    });
+
+    const cardPayment = (month) => result.schedule[month].payments.find((item) => item.debtId === 'card');
+    expect(cardPayment(0).minimumDue).toBe(200);
+    expect(cardPayment(1).minimumDue).toBeLessThan(cardPayment(0).minimumDue);
+  });
+
+  it('never drops below the floor', () => {
+    const result = simulateStrategy(
+      [{ ...card, balance: 500, minimumPaymentRule: { type: 'percent_of_balance', percent: 2, floor: 40 } }],
+      { strategy: 'avalanche', monthlyBudget: 40, startDate: new Date('2024-01-01') },
+    );
+
+    expect(result.schedule[0].payments[0].minimumDue).toBe(40);
+  });
+
+  it('rejects unknown rule types', () => {
+    expect(() =>
+      simulateStrategy([{ ...card, minimumPaymentRule: { type: 'magic' } }], { monthlyBudget: 300 }),
+    ).toThrowError(/最低應繳規則/);
+  });
+});
+
+describe('budget timeline', () => {
+  it('reduces extra payments after a lean-month budget change', () => {
+    const result = simulateStrategy(sampleDebts, {
+      strategy: 'avalanche',
+      monthlyBudget: 700,
+      budgetChanges: [{ effectiveDate: '2024-03-01', monthlyBudget: 400 }],
+      startDate: new Date('2024-01-01'),
+    });
+
+    expect(result.schedule[1].budget).toBe(700);
+    expect(result.schedule[2].budget).toBe(400);
+    expect(result.schedule[2].totalPaid).toBeCloseTo(400, 2);
+  });
+
+  it('applies the last listed change when two fall in the same month', () => {
+    const result = simulateStrategy(sampleDebts, {
+      strategy: 'avalanche',
+      monthlyBudget: 700,
+      budgetChanges: [
+        { effectiveDate: '2024-03-01', monthlyBudget: 400 },
+        { effectiveDate: '2024-03-15', monthlyBudget: 900 },
+        { effectiveDate: '2024-03-10', monthlyBudget: 500 },
+      ],
+      startDate: new Date('2024-01-01'),
+    });
+
+    expect(result.schedule[2].budget).toBe(500);
+  });
+
+  it('records where each lump sum was allocated', () => {
+    const result = simulateStrategy(sampleDebts, {
+      strategy: 'avalanche',
+      monthlyBudget: 700,
+      lumpSums: [{ date: '2024-02-15', amount: 3000, note: '年終獎金' }],
+      startDate: new Date('2024-01-01'),
+    });
+
+    const [windfall] = result.schedule[1].windfalls;
+    expect(windfall.note).toBe('年終獎金');
+    expect(windfall.allocations[0].debtId).toBe('debt-1');
+    const allocated = windfall.allocations.reduce((sum, item) => sum + item.amount, 0);
+    expect(allocated + windfall.unallocated).toBeCloseTo(3000, 2);
+    expect(result.schedule[0].windfalls).toEqual([]);
+  });
+
+  it('finishes sooner with a windfall than without', () => {
+    const options = { strategy: 'avalanche', monthlyBudget: 700, startDate: new Date('2024-01-01') };
+    const base = simulateStrategy(sampleDebts, options);
+    const boosted = simulateStrategy(sampleDebts, {
+      ...options,
+      lumpSums: [{ date: '2024-02-15', amount: 3000 }],
+    });
+
+    expect(boosted.months).toBeLessThan(base.months);
+    expect(boosted.totalInterest).toBeLessThan(base.totalInterest);
+  });
+});
+
+describe('payment frequency', () => {
+  const options = { strategy: 'avalanche', monthlyBudget: 700, startDate: new Date('2024-01-01') };
+
+  it('emits one schedule entry per biweekly pay period', () => {
+    const result = simulateStrategy(sampleDebts, { ...options, paymentFrequency: 'biweekly' });
+
+    expect(result.paymentFrequency).toBe('biweekly');
+    expect(result.schedule.slice(0, 3).map((entry) => entry.date)).toEqual(['2024-01-01', '2024-01-15', '2024-01-29']);
+    expect(result.schedule.slice(0, 3).map((entry) => entry.monthIndex)).toEqual([1, 1, 1]);
+    expect(result.schedule[0].budget).toBe(350);
+    expect(result.periods).toBe(result.schedule.length);
+    expect(result.months).toBe(result.schedule[result.schedule.length - 1].monthIndex);
+  });
+
+  it('accrues interest for the days between payment dates', () => {
+    const result = simulateStrategy([sampleDebts[0]], { ...options, paymentFrequency: 'weekly' });
+
+    expect(result.schedule[0].payments[0].interestAccrued).toBeCloseTo(1500 * 0.18 * (7 / 365), 2);
+  });
+
+  it('pays off sooner with biweekly payments thanks to the extra payment each year', () => {
+    const monthly = simulateStrategy(sampleDebts, options);
+    const biweekly = simulateStrategy(sampleDebts, { ...options, paymentFrequency: 'biweekly' });
+
+    expect(biweekly.months).toBeLessThan(monthly.months);
+    expect(biweekly.totalInterest).toBeLessThan(monthly.totalInterest);
+  });
+
+  it('splits semi-monthly payments across the 1st and 16th', () => {
+    const result = simulateStrategy(sampleDebts, { ...options, paymentFrequency: 'semi_monthly' });
+
+    expect(result.schedule.slice(0, 4).map((entry) => entry.date))
+      .toEqual(['2024-01-01', '2024-01-16', '2024-02-01', '2024-02-16']);
+  });
+
+  it('rejects unknown frequencies', () => {
+    expect(() => simulateStrategy(sampleDebts, { ...options, paymentFrequency: 'daily' })).toThrow('繳款頻率');
+  });
+});
+
+describe('interest methods', () => {
+  const card = { id: 'card', name: 'Card', balance: 1500, apr: 18, minimumPayment: 50, statementDay: 1, dueDay: 25 };
+  const options = { strategy: 'avalanche', monthlyBudget: 200, startDate: new Date('2024-01-01') };
+  const dailyRate = 0.18 / 365;
+
+  it('charges the average daily balance over the statement cycle', () => {
+    const result = simulateStrategy([{ ...card, interestMethod: 'average_daily_balance' }], options);
+    const [first, second] = result.schedule.map((entry) => entry.payments[0]);
+
+    expect(first.interestAccrued).toBeCloseTo(1500 * dailyRate * 31, 2);
+    // 上期還款於 1/25 入帳，帳單週期 1/1–2/1 前 24 天仍以還款前餘額計息
+    const balance = first.balanceRemaining;
+    expect(second.interestAccrued)
+      .toBeCloseTo(((balance + first.payment) * 24 + balance * 7) * dailyRate, 2);
+  });
+
+  it('compounds daily interest on an actual/365 basis', () => {
+    const daily = simulateStrategy([{ ...card, interestMethod: 'daily' }], options);
+    const averageDaily = simulateStrategy([{ ...card, interestMethod: 'average_daily_balance' }], options);
+
+    expect(daily.schedule[0].payments[0].interestAccrued).toBeCloseTo(1500 * ((1 + dailyRate) ** 31 - 1), 2);
+    expect(daily.totalInterest).toBeGreaterThanOrEqual(averageDaily.totalInterest);
+  });
+
+  it('keeps the monthly APR/12 method by default', () => {
+    const result = simulateStrategy([card], options);
+
+    expect(result.schedule[0].payments[0].interestAccrued).toBe(22.5);
+  });
+
+  it('rejects unknown interest methods', () => {
+    expect(() => simulateStrategy([{ ...card, interestMethod: 'quarterly' }], options)).toThrow('計息方式');
+  });
+});
+
+describe('allocation settings', () => {
+  const options = { strategy: 'avalanche', monthlyBudget: 700, startDate: new Date('2024-01-01') };
+  const paymentFor = (entry, debtId) => entry.payments.find((payment) => payment.debtId === debtId);
+
+  it('keeps excluded debts on their minimum payment', () => {
+    const result = simulateStrategy(sampleDebts, {
+      ...options,
+      allocationSettings: [{ debtId: 'debt-1', excludeFromExtra: true }],
+    });
+
+    expect(paymentFor(result.schedule[0], 'debt-1').payment).toBe(50);
+    expect(paymentFor(result.schedule[0], 'debt-3').payment).toBeCloseTo(700 - 50 - 120, 2);
+  });
+
+  it('pays earmarked extras before the strategy ordering', () => {
+    const result = simulateStrategy(sampleDebts, {
+      ...options,
+      allocationSettings: [{ debtId: 'debt-2', earmark: 100 }],
+    });
+    const studentLoan = paymentFor(result.schedule[0], 'debt-2');
+
+    expect(studentLoan).toMatchObject({ payment: 220, earmarked: 100 });
+    expect(paymentFor(result.schedule[0], 'debt-1').payment).toBeCloseTo(700 - 220 - 90, 2);
+  });
+
+  it('caps monthly payments and sends the rest down the ordering', () => {
+    const result = simulateStrategy(sampleDebts, {
+      ...options,
+      allocationSettings: [{ debtId: 'debt-1', maxMonthlyPayment: 200 }],
+    });
+
+    result.schedule.forEach((entry) => {
+      expect(paymentFor(entry, 'debt-1').payment).toBeLessThanOrEqual(200);
+    });
+    expect(paymentFor(result.schedule[0], 'debt-3').payment).toBeCloseTo(700 - 200 - 120, 2);
+    expect(result.schedule[0].totalPaid).toBeCloseTo(700, 2);
+  });
+
+  it('rejects negative earmarks', () => {
+    expect(() => simulateStrategy(sampleDebts, {
+      ...options,
+      allocationSettings: [{ debtId: 'debt-1', earmark: -5 }],
+    })).toThrow('指定加碼金額');
+  });
+});
+
+describe('penalties and fees', () => {
+  const mortgage = {
+    id: 'mortgage',
+    name: 'Mortgage',
+    balance: 10000,
+    apr: 6,
+    minimumPayment: 200,
+    prepaymentPenalty: { percent: 2, endDate: '2025-12-31' },
+  };
+  const card = { id: 'card', name: 'Card', balance: 2000, apr: 4, minimumPayment: 50 };
+  const options = { strategy: 'avalanche', monthlyBudget: 600, startDate: new Date('2024-01-01') };
+  const paymentFor = (entry, debtId) => entry.payments.find((payment) => payment.debtId === debtId);
+
+  it('steers extra payments away from debts inside a penalty window', () => {
+    const result = simulateStrategy([mortgage, card], options);
+
+    expect(paymentFor(result.schedule[0], 'card').payment).toBe(400);
+    expect(paymentFor(result.schedule[0], 'mortgage').penaltyPaid).toBe(0);
+  });
+
+  it('charges the penalty out of the budget when prepaying anyway', () => {
+    const result = simulateStrategy([mortgage, card], { ...options, penaltyHandling: 'include' });
+    const payment = paymentFor(result.schedule[0], 'mortgage');
+    const prepaid = payment.payment - payment.minimumDue;
+
+    expect(payment.penaltyPaid).toBeCloseTo(prepaid * 0.02, 2);
+    expect(result.schedule[0].totalPaid).toBeLessThanOrEqual(600);
+    expect(result.schedule[0].totalPaid).toBeCloseTo(600, 1);
+    expect(result.totalPenalties).toBeGreaterThan(0);
+    expect(result.debtSummaries[0].totalPenalties).toBe(result.totalPenalties);
+  });
+
+  it('stops charging penalties once the window ends', () => {
+    const shortWindow = { ...mortgage, prepaymentPenalty: { percent: 2, endDate: '2024-02-29' } };
+    const result = simulateStrategy([shortWindow, card], { ...options, penaltyHandling: 'include' });
+
+    expect(paymentFor(result.schedule[1], 'mortgage').penaltyPaid).toBeGreaterThan(0);
+    expect(paymentFor(result.schedule[2], 'mortgage').penaltyPaid).toBe(0);
+  });
+
+  it('adds recurring fees to the balance and reports them', () => {
+    const feeCard = { ...card, recurringFees: [{ amount: 30, intervalMonths: 12, startDate: '2024-01-01' }] };
+    const result = simulateStrategy([feeCard], { ...options, monthlyBudget: 100 });
+
+    expect(paymentFor(result.schedule[0], 'card').feesCharged).toBe(30);
+    expect(paymentFor(result.schedule[1], 'card').feesCharged).toBe(0);
+    expect(paymentFor(result.schedule[12], 'card').feesCharged).toBe(30);
+    expect(result.totalFees).toBe(60);
+    expect(result.debtSummaries[0].totalFees).toBe(60);
+  });
+});
+
+describe('effective APR ordering', () => {
+  it('ranks debts by their total-cost rate when one is stored', () => {
+    const debts = [
+      { id: 'feeLoan', name: 'Fee Loan', balance: 3000, apr: 10, effectiveApr: 14, minimumPayment: 100 },
+      { id: 'card', name: 'Card', balance: 3000, apr: 12, minimumPayment: 100 },
+    ];
+    const options = { strategy: 'avalanche', monthlyBudget: 500, startDate: new Date('2024-01-01') };
+    const first = (result) => result.schedule[0].payments.find((payment) => payment.payment > 100).debtId;
+
+    expect(first(simulateStrategy(debts, options))).toBe('feeLoan');
+    expect(first(simulateStrategy(debts.map(({ effectiveApr: _ignored, ...debt }) => debt), options))).toBe('card');
+    expect(simulateStrategy(debts, options).schedule[0].payments[0].apr).toBe(10);
+  });
+});
+
+describe('interest-only phases', () => {
+  const mortgage = {
+    id: 'home',
+    name: 'Mortgage',
+    balance: 120000,
+    apr: 2.4,
+    totalPeriods: 240,
+    remainingPeriods: 240,
+    interestOnlyPhases: [{ startDate: '2024-01-01', endDate: '2024-12-01' }],
+  };
+  const options = { monthlyBudget: 700, startDate: new Date('2024-01-01'), minimumOnly: true };
+
+  it('charges interest only during the phase and amortizes the remaining term afterwards', () => {
+    const result = simulateStrategy([mortgage], options);
+    const first = result.schedule[0].payments[0];
+    const lastInterestOnly = result.schedule[11].payments[0];
+    const firstAmortizing = result.schedule[12].payments[0];
+
+    expect(first).toMatchObject({ interestOnly: true, minimumDue: 240, principalPaid: 0 });
+    expect(lastInterestOnly.balanceRemaining).toBe(120000);
+    expect(firstAmortizing.interestOnly).toBe(false);
+    expect(firstAmortizing.minimumDue).toBe(calculateAnnuityPayment(120000, 2.4, 228));
+  });
+
+  it('reports the payment jump in the schedule and debt summary', () => {
+    const result = simulateStrategy([mortgage], options);
+    const jump = {
+      date: '2025-01-01',
+      previousPayment: 240,
+      newPayment: calculateAnnuityPayment(120000, 2.4, 228),
+    };
+
+    expect(result.schedule[11].paymentChanges).toEqual([]);
+    expect(result.schedule[12].paymentChanges).toEqual([{ debtId: 'home', debtName: 'Mortgage', ...jump }]);
+    expect(result.debtSummaries[0].paymentChanges).toEqual([jump]);
+  });
+
+  it('restores the regular minimum on revolving debts', () => {
+    const card = {
+      id: 'card',
+      name: 'Card',
+      balance: 2400,
+      apr: 12,
+      minimumPayment: 100,
+      interestOnlyPhases: [{ startDate: '2024-02-01', endDate: '2024-03-31' }],
+    };
+    const result = simulateStrategy([card], { ...options, monthlyBudget: 100 });
+
+    expect(result.schedule.slice(0, 4).map((entry) => entry.payments[0].minimumDue)).toEqual([100, 23.24, 23.24, 100]);
+    expect(result.schedule[3].paymentChanges[0]).toMatchObject({ previousPayment: 23.24, newPayment: 100 });
+  });
+
+  it('rejects overlapping phases', () => {
+    const overlapping = {
+      ...mortgage,
+      interestOnlyPhases: [
+        { startDate: '2024-01-01', endDate: '2024-06-01' },
+        { startDate: '2024-06-15', endDate: '2024-12-01' },
+      ],
+    };
+
+    expect(() => simulateStrategy([overlapping], options)).toThrow('寬限期不可重疊');
+  });
+});
+
+describe('getInterestOnlyStatus', () => {
+  const mortgage = {
+    balance: 120000,
+    apr: 2.4,
+    totalPeriods: 240,
+    originationDate: '2024-01-01',
+    interestOnlyPhases: [{ startDate: '2024-02-01', endDate: '2025-01-01' }],
+  };
+
+  it('projects the amortizing payment that follows the phase', () => {
+    expect(getInterestOnlyStatus(mortgage, new Date('2024-06-15'))).toEqual({
+      startMonth: '2024-02',
+      endMonth: '2025-01',
+      interestOnlyPayment: 240,
+      amortizingPayment: calculateAnnuityPayment(120000, 2.4, 228),
+      amortizationStartDate: '2025-02-01',
+    });
+  });
+
+  it('returns null outside the phase', () => {
+    expect(getInterestOnlyStatus(mortgage, new Date('2025-02-15'))).toBeNull();
+  });
+});
+
+describe('card installment plans', () => {
+  const card = {
+    id: 'card',
+    name: 'Card',
+    balance: 3000,
+    apr: 15,
+    minimumPayment: 50,
+    installmentPlans: [{ id: 'tv', name: 'TV', principal: 1200, termMonths: 12, startDate: '2023-10-15', fee: 10 }],
+  };
+
+  it('splits the card balance into revolving and installment parts', () => {
+    const split = splitCardBalance(card, 3000, new Date('2024-01-01'));
+
+    expect(split.revolvingBalance).toBe(2000);
+    expect(split.installmentBalance).toBe(1000);
+    expect(split.installments[0]).toMatchObject({ id: 'tv', remainingPeriods: 10, monthlyPayment: 100, outstanding: 1000 });
+  });
+
+  it('simulates each installment on its own schedule without extra payments', () => {
+    const result = simulateStrategy([card], { monthlyBudget: 300, startDate: new Date('2024-01-01') });
+    const [revolving, installment] = result.schedule[0].payments;
+
+    expect(revolving).toMatchObject({ debtId: 'card', parentDebtId: 'card', balanceComponent: 'revolving', payment: 190 });
+    expect(installment).toMatchObject({
+      debtId: 'card:tv',
+      parentDebtId: 'card',
+      balanceComponent: 'installment',
+      payment: 110,
+      feesCharged: 10,
+      balanceRemaining: 900,
+    });
+    const summary = result.debtSummaries.find((item) => item.debtId === 'card:tv');
+    expect(summary.monthsToPayoff).toBe(10);
+  });
+
+  it('charges an upfront fee only for plans that have not started', () => {
+    const upcoming = {
+      ...card,
+      balance: 1200,
+      installmentPlans: [{ ...card.installmentPlans[0], startDate: '2024-01-15', fee: 30, feeFrequency: 'upfront' }],
+    };
+    const result = simulateStrategy([upcoming], { monthlyBudget: 300, startDate: new Date('2024-01-01') });
+
+    expect(result.schedule[0].payments.map((item) => item.debtId)).toEqual(['card:tv']);
+    expect(result.schedule[0].payments[0]).toMatchObject({ payment: 130, feesCharged: 30 });
+    expect(result.schedule[1].payments[0]).toMatchObject({ payment: 100, feesCharged: 0 });
+
+    const started = simulateStrategy([{ ...upcoming, installmentPlans: [{ ...upcoming.installmentPlans[0], startDate: '2023-10-15' }] }], {
+      monthlyBudget: 300,
+      startDate: new Date('2024-01-01'),
+    });
+    expect(started.schedule[0].payments.find((item) => item.debtId === 'card:tv').feesCharged).toBe(0);
+  });
 });
 
 describe('compareStrategies', () => {
@@ -98,4 +728,126 @@ describe('compareStrategies', () => {
     });
     expect(result.comparison.recommendedStrategy === 'snowball' || result.comparison.recommendedStrategy === 'avalanche').toBe(true);
   });
+
+  it('keeps interestSavings as snowball minus avalanche and reports ranking savings separately', () => {
+    const result = compareStrategies(sampleDebts, 700, new Date('2024-01-01'), {
+      strategies: ['highest_interest', 'snowball', 'avalanche'],
+    });
+    const worstInterest = Math.max(...result.ranking.map((entry) => entry.metrics.totalInterest));
+    const recommended = result[result.comparison.recommendedStrategy];
+
+    expect(result.comparison.interestSavings)
+      .toBe(Math.max(0, Number((result.snowball.totalInterest - result.avalanche.totalInterest).toFixed(2))));
+    expect(result.comparison.timeSavings).toBe(result.snowball.months - result.avalanche.months);
+    expect(result.comparison.recommendedInterestSavings)
+      .toBe(Number((worstInterest - recommended.totalInterest).toFixed(2)));
+
+    const withoutSnowball = compareStrategies(sampleDebts, 700, new Date('2024-01-01'), {
+      strategies: ['highest_interest', 'avalanche'],
+    });
+    expect(withoutSnowball.comparison).toMatchObject({ interestSavings: null, timeSavings: null });
+  });
+
+  const tradeoffDebts = [
+    { id: 'small', name: 'Store Card', balance: 500, apr: 5, minimumPayment: 25 },
+    { id: 'large', name: 'Credit Card', balance: 5000, apr: 24, minimumPayment: 150 },
+  ];
+
+  it('ranks any set of strategies by the configured objectives', () => {
+    const strategies = ['snowball', 'avalanche', 'cash_flow_index'];
+    const byInterest = compareStrategies(tradeoffDebts, 400, new Date('2024-01-01'), {
+      strategies,
+      objectives: { interest: 1 },
+    });
+    const byFirstPayoff = compareStrategies(tradeoffDebts, 400, new Date('2024-01-01'), {
+      strategies,
+      objectives: { firstPayoff: 1 },
+    });
+
+    expect(byInterest.ranking.map((entry) => entry.strategy)).toHaveLength(3);
+    expect(byInterest.cash_flow_index.strategy).toBe('cash_flow_index');
+    expect(byInterest.comparison.recommendedStrategy).toBe('avalanche');
+    expect(byFirstPayoff.comparison.recommendedStrategy).toBe('snowball');
+    expect(byFirstPayoff.objectives).toEqual({ firstPayoff: 1 });
+  });
+
+  it('explains the recommendation with its advantages and trade-offs', () => {
+    const result = compareStrategies(tradeoffDebts, 400, new Date('2024-01-01'), {
+      objectives: { interest: 3, firstPayoff: 1 },
+    });
+    const { explanation } = result.comparison;
+    const [winner, runnerUp] = result.ranking;
+
+    expect(explanation.recommendedStrategy).toBe(winner.strategy);
+    expect(explanation.reasons[0]).toMatchObject({ objective: 'interest', advantage: 'better', comparedTo: runnerUp.strategy });
+    expect(explanation.tradeoffs.map((item) => item.objective)).toEqual(['firstPayoff']);
+    expect(explanation.reasons[0].difference)
+      .toBeCloseTo(winner.metrics.totalInterest - runnerUp.metrics.totalInterest, 2);
+    expect(result.comparison.reasoning).toContain(explanation.summary);
+  });
+
+  it('includes a minimum-payments-only baseline', () => {
+    const result = compareStrategies(tradeoffDebts, 400, new Date('2024-01-01'));
+
+    expect(result.baseline.strategy).toBe('minimum_only');
+    expect(result.baseline.schedule[0].totalPaid).toBe(175);
+    expect(result.baseline.metrics.totalInterest).toBeGreaterThan(result.avalanche.totalInterest);
+    expect(result.comparison.explanation.versusBaseline.interestSavings)
+      .toBeCloseTo(result.baseline.totalInterest - result.avalanche.totalInterest, 2);
+  });
+
+  it('keeps the comparison when the baseline can never be repaid', () => {
+    const underwater = [{ id: 'card', name: 'Card', balance: 10000, apr: 24, minimumPayment: 100 }];
+    const result = compareStrategies(underwater, 400, new Date('2024-01-01'));
+
+    expect(result.baseline.metrics).toBeNull();
+    expect(result.baseline.error).toMatch(/最大支援期間/);
+    expect(result.comparison.explanation.versusBaseline).toBeNull();
+  });
+
+  it('rejects unknown objectives', () => {
+    expect(() => compareStrategies(sampleDebts, 700, new Date('2024-01-01'), { objectives: { fun: 1 } }))
+      .toThrow('比較目標');
+  });
+});
+
+describe('solveRequiredBudget', () => {
+  it('finds the smallest budget that reaches the target date', () => {
+    const { requiredMonthlyBudget, result } = solveRequiredBudget(sampleDebts, {
+      strategy: 'avalanche',
+      targetDate: '2025-12-01',
+      startDate: new Date('2024-01-01'),
+    });
+
+    expect(result.payoffDate <= '2025-12-31').toBe(true);
+    const cheaper = simulateStrategy(sampleDebts, {
+      strategy: 'avalanche',
+      monthlyBudget: requiredMonthlyBudget - 1,
+      startDate: new Date('2024-01-01'),
+    });
+    expect(cheaper.payoffDate > '2025-12-31').toBe(true);
+  });
+
+  it('rejects targets before the start date', () => {
+    expect(() =>
+      solveRequiredBudget(sampleDebts, {
+        strategy: 'avalanche',
+        targetDate: '2023-06-01',
+        startDate: new Date('2024-01-01'),
+      }),
+    ).toThrowError(/目標還清日期/);
+  });
+});
+
+describe('calculateExtraPaymentEffect', () => {
+  it('reuses a supplied base simulation instead of running it again', () => {
+    const options = { startDate: new Date('2024-01-01') };
+    const baseResult = simulateStrategy(sampleDebts, { ...options, strategy: 'avalanche', monthlyBudget: 600 });
+    const effect = calculateExtraPaymentEffect(sampleDebts, 600, 100, 'avalanche', { ...options, baseResult });
+
+    expect(effect.baseScenario).toBe(baseResult);
+    expect(effect.benefits.interestSavings).toBeGreaterThan(0);
+    expect(calculateExtraPaymentEffect(sampleDebts, 600, 0, 'avalanche', { ...options, baseResult }).extraPaymentScenario)
+      .toBe(baseResult);
+  });
 });